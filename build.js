@@ -0,0 +1,93 @@
+var fs = require("fs");
+var path = require("path");
+var chalk = require("chalk");
+const f = require("./usefool.js");
+var Projects = require("./pwa/projects.js");
+var genIcons = require("./pwa/icons.js");
+const { PSLCompiler, loadProgram, readAssetFile, formatDiagnostic, codeFrame } = require("./compiler.js");
+
+// The #icon metadata, else an icon.svg or icon.png at the root of the project
+function findIcon(dir, compiler) {
+    var icon = compiler.getMetadata("icon");
+    if (icon) return path.join(dir, icon);
+    for (let i of ["icon.svg", "icon.png"]) {
+        if (fs.existsSync(path.join(dir, i))) return path.join(dir, i);
+    };
+    return null;
+};
+
+async function updateIcons(dir, compiler, manifest) {
+    var icon = findIcon(dir, compiler);
+    if (!icon) return manifest;
+    if (!fs.existsSync(icon)) {
+        f.log(chalk.yellow(`=> Missing icon '${path.relative(dir, icon)}'`));
+        return manifest;
+    };
+
+    var last = path.join(dir, "icons/icon-512x512.png");
+    if (fs.existsSync(last) && fs.statSync(last).mtimeMs >= fs.statSync(icon).mtimeMs) return manifest;
+
+    f.log(chalk.gray("=> Generating the icons..."));
+    manifest.icons = await genIcons(icon, path.join(dir, "icons"), manifest.background_color);
+    fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
+    return manifest;
+};
+
+async function build(project) {
+    var dir = project.dir;
+    var dist = project.dist;
+    try {
+        var source = project.local ? project.source : Projects.findSource(dir);
+        if (!source) {
+            f.log(chalk.red.bold(`ERREUR: No .psl file found in '${project.name}'`));
+            return null;
+        };
+
+        f.log(chalk.gray(`=> Compiling ${path.basename(source)}...`));
+        var { ast, diagnostics, sources } = loadProgram(source, {root: dir});
+        var errors = diagnostics.filter(d => d.severity === "error");
+        for (let d of diagnostics) {
+            f.log((d.severity === "error" ? chalk.red : chalk.yellow)(formatDiagnostic(d)));
+            f.log(chalk.gray(codeFrame(sources[d.range.file], d.range.start.line, d.range.start.column)));
+        };
+        if (errors.length) {
+            f.log(chalk.red.bold(`ERREUR: ${errors.length} error(s) in ${path.basename(source)}, nothing was built`));
+            return null;
+        };
+        var manifest = path.join(dir, "manifest.json");
+        if (!fs.existsSync(manifest)) manifest = path.join(__dirname, "pwa/manifest.json");
+        manifest = JSON.parse(fs.readFileSync(manifest, "utf-8"));
+        var compiler = new PSLCompiler(ast, {manifest: manifest});
+        await updateIcons(dir, compiler, manifest);
+        var files = compiler.compileFiles({readAsset: src => readAssetFile(dir, src)});
+
+        f.log(chalk.gray("=> Writing the dist folder..."));
+        fs.rmSync(dist, {recursive: true, force: true});
+        fs.mkdirSync(dist, {recursive: true});
+        for (let i in files) {
+            fs.writeFileSync(path.join(dist, i), files[i]);
+        };
+
+        if (fs.existsSync(path.join(dir, "icons"))) {
+            fs.cpSync(path.join(dir, "icons"), path.join(dist, "icons"), {recursive: true});
+        };
+        for (let i of compiler.collectAssets()) {
+            var asset = path.join(dir, i);
+            if (!asset.startsWith(dir) || !fs.existsSync(asset)) {
+                f.log(chalk.yellow(`=> Missing asset '${i}'`));
+                continue;
+            };
+            fs.mkdirSync(path.dirname(path.join(dist, i)), {recursive: true});
+            fs.copyFileSync(asset, path.join(dist, i));
+        };
+
+        f.log(chalk.green.bold(`✅ Project built in ${dist}`));
+        return dist;
+    } catch (err) {
+        f.log(chalk.red.bold(`ERREUR: ${err.message}`));
+        if (err.frame) f.log(chalk.gray(err.frame));
+        return null;
+    };
+};
+
+module.exports = build;
@@ -2,75 +2,176 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const defaultManifest = require('./pwa/manifest.json');
+
+// --- Errors ---
+
+// Shows the offending line with its neighbours and a caret under the column
+function codeFrame(source, line, column) {
+  const lines = source.split('\n');
+  const start = Math.max(1, line - 1);
+  const end = Math.min(lines.length, line + 1);
+  const width = String(end).length;
+  let frame = '';
+
+  for (let n = start; n <= end; n++) {
+    const gutter = `${n === line ? '>' : ' '} ${String(n).padStart(width)} | `;
+    frame += `${gutter}${lines[n - 1]}\n`;
+    if (n === line) {
+      frame += `  ${' '.repeat(width)} | ${lines[n - 1].slice(0, column - 1).replace(/[^\t]/g, ' ')}^\n`;
+    }
+  }
+  return frame;
+}
+
+// A diagnostic is { severity, code, message, range: { file, start, end } }
+function createDiagnostic(severity, code, message, range) {
+  return { severity, code, message, range };
+}
+
+function formatDiagnostic(diagnostic, source = null) {
+  const { file, start } = diagnostic.range;
+  const where = `${file || '<input>'}:${start.line}:${start.column}`;
+  const text = `${where}: ${diagnostic.severity}: ${diagnostic.message} [${diagnostic.code}]`;
+  return source ? `${text}\n${codeFrame(source, start.line, start.column)}` : text;
+}
+
+class PSLSyntaxError extends Error {
+  constructor(diagnostic, source = null) {
+    const { file, start } = diagnostic.range;
+    super(`${file || '<input>'}:${start.line}:${start.column}: ${diagnostic.message}`);
+    this.name = 'PSLSyntaxError';
+    this.diagnostic = diagnostic;
+    this.reason = diagnostic.message;
+    this.loc = { file, line: start.line, column: start.column };
+    this.frame = source ? codeFrame(source, start.line, start.column) : '';
+  }
+}
 
 // --- PSLTokenizer ---
 
 class PSLTokenizer {
-  constructor(input) {
+  constructor(input, file = null) {
     this.input = input;
+    this.file = file;
     this.pos = 0;
+    this.start = 0;
     this.tokens = [];
+    this.diagnostics = [];
+    this.lineStarts = [0];
+    for (let i = 0; i < input.length; i++) {
+      if (input[i] === '\n') this.lineStarts.push(i + 1);
+    }
   }
 
   tokenize() {
     while (this.pos < this.input.length) {
-      this.skipWhitespace();
-      if (this.pos >= this.input.length) break;
+      this.scanToken();
+    }
+    this.start = this.pos;
+    this.addToken('EOF', '');
+    return this.tokens;
+  }
 
-      if (this.match('//')) {
-        this.skipLineComment();
-        continue;
-      }
-      if (this.match('/*')) {
-        this.skipBlockComment();
-        continue;
-      }
+  // Reads the next token, if any, after the whitespace and comments
+  scanToken() {
+    this.skipWhitespace();
+    if (this.pos >= this.input.length) return;
+    this.start = this.pos;
 
-      // Opérateurs à deux caractères
-      if (this.match('==')) {
-        this.tokens.push({ type: 'OPERATOR', value: '==' });
-        this.pos += 2;
-        continue;
-      }
-      if (this.match('!=')) {
-        this.tokens.push({ type: 'OPERATOR', value: '!=' });
-        this.pos += 2;
-        continue;
-      }
-      if (this.match('>=')) {
-        this.tokens.push({ type: 'OPERATOR', value: '>=' });
-        this.pos += 2;
-        continue;
-      }
-      if (this.match('<=')) {
-        this.tokens.push({ type: 'OPERATOR', value: '<=' });
-        this.pos += 2;
-        continue;
-      }
+    if (this.match('//')) {
+      this.skipLineComment();
+      return;
+    }
+    if (this.match('/*')) {
+      this.skipBlockComment();
+      return;
+    }
+
+    // Opérateurs à deux caractères
+    if (this.match('==')) {
+      this.pos += 2;
+      this.addToken('OPERATOR', '==');
+      return;
+    }
+    if (this.match('!=')) {
+      this.pos += 2;
+      this.addToken('OPERATOR', '!=');
+      return;
+    }
+    if (this.match('>=')) {
+      this.pos += 2;
+      this.addToken('OPERATOR', '>=');
+      return;
+    }
+    if (this.match('<=')) {
+      this.pos += 2;
+      this.addToken('OPERATOR', '<=');
+      return;
+    }
+    if (this.match('&&')) {
+      this.pos += 2;
+      this.addToken('OPERATOR', '&&');
+      return;
+    }
+    if (this.match('||')) {
+      this.pos += 2;
+      this.addToken('OPERATOR', '||');
+      return;
+    }
 
-      const char = this.input[this.pos];
+    const char = this.input[this.pos];
 
-      if (char === '#') {
-        this.tokens.push({ type: 'HASH', value: '#' });
-        this.pos++;
-      } else if (char === '@') {
-        this.tokens.push({ type: 'AT', value: '@' });
-        this.pos++;
-      } else if (/[a-zA-Z_]/.test(char)) {
-        this.readIdentifier();
-      } else if (/\d/.test(char)) {
-        this.readNumber();
-      } else if (char === '"' || char === "'") {
-        this.readString();
-      } else if ('{}()[];:,=.<>+-*/%?!'.includes(char)) {
-        this.tokens.push({ type: 'SYMBOL', value: char });
-        this.pos++;
-      } else {
-        this.pos++;
-      }
+    if (char === '#') {
+      this.pos++;
+      this.addToken('HASH', '#');
+    } else if (char === '@') {
+      this.pos++;
+      this.addToken('AT', '@');
+    } else if (/[a-zA-Z_]/.test(char)) {
+      this.readIdentifier();
+    } else if (/\d/.test(char)) {
+      this.readNumber();
+    } else if (char === '"' || char === "'") {
+      this.readString();
+    } else if (char === '`') {
+      this.readTemplate();
+    } else if ('{}()[];:,=.<>+-*/%?!'.includes(char)) {
+      this.pos++;
+      this.addToken('SYMBOL', char);
+    } else {
+      this.pos++;
+      this.report('warning', 'unknown-character', `Unknown character '${char}' ignored`);
     }
-    this.tokens.push({ type: 'EOF', value: '' });
-    return this.tokens;
+  }
+
+  // Line and column are 1-based, like in editors
+  location(pos) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= pos) low = mid;
+      else high = mid - 1;
+    }
+    return { file: this.file, line: low + 1, column: pos - this.lineStarts[low] + 1 };
+  }
+
+  // Tokens are added once read, so they span from this.start to this.pos
+  addToken(type, value) {
+    const { line, column } = this.location(this.pos);
+    this.tokens.push({ type, value, ...this.location(this.start), end: { line, column } });
+  }
+
+  report(severity, code, message) {
+    const { file, line, column } = this.location(this.start);
+    const end = this.location(this.pos);
+    this.diagnostics.push(createDiagnostic(severity, code, message, {
+      file,
+      start: { line, column },
+      end: { line: end.line, column: end.column }
+    }));
   }
 
   skipWhitespace() {
@@ -106,7 +207,7 @@ class PSLTokenizer {
       value += this.input[this.pos];
       this.pos++;
     }
-    this.tokens.push({ type: 'IDENTIFIER', value });
+    this.addToken('IDENTIFIER', value);
   }
 
   readNumber() {
@@ -130,14 +231,22 @@ class PSLTokenizer {
       this.pos = unitStart;
     }
     
-    this.tokens.push({ type: 'NUMBER', value });
+    this.addToken('NUMBER', value);
   }
 
   readString() {
     const quote = this.input[this.pos];
     this.pos++;
     let value = '';
-    while (this.pos < this.input.length && this.input[this.pos] !== quote) {
+    while (this.input[this.pos] !== quote) {
+      // Strings may span lines, but an unterminated one stops at the end of its first line
+      if (this.pos >= this.input.length) {
+        const eol = this.input.indexOf('\n', this.start);
+        this.pos = eol === -1 ? this.input.length : eol;
+        this.report('error', 'unterminated-string', 'Unterminated string');
+        this.addToken('STRING', this.input.slice(this.start + 1, this.pos));
+        return;
+      }
       if (this.input[this.pos] === '\\') {
         this.pos++;
         const escaped = this.input[this.pos];
@@ -148,28 +257,118 @@ class PSLTokenizer {
       this.pos++;
     }
     this.pos++;
-    this.tokens.push({ type: 'STRING', value });
+    this.addToken('STRING', value);
+  }
+
+  // `Hello ${name}` is one TEMPLATE token, its value alternates the text parts and
+  // the tokens of each embedded expression: ['Hello ', [IDENTIFIER, '}', EOF], '']
+  readTemplate() {
+    const start = this.start;
+    const parts = [];
+    let text = '';
+    this.pos++;
+    while (this.input[this.pos] !== '`') {
+      if (this.pos >= this.input.length) {
+        this.start = start;
+        this.report('error', 'unterminated-template', 'Unterminated template literal');
+        break;
+      }
+      if (this.match('${')) {
+        parts.push(text);
+        text = '';
+        this.pos += 2;
+        parts.push(this.readTemplateExpression());
+        continue;
+      }
+      if (this.input[this.pos] === '\\') {
+        this.pos++;
+        const escaped = this.input[this.pos];
+        text += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+      } else {
+        text += this.input[this.pos];
+      }
+      this.pos++;
+    }
+    parts.push(text);
+    this.pos++;
+    this.start = start;
+    this.addToken('TEMPLATE', parts);
+  }
+
+  // The tokens up to the '}' closing a '${', the braces of objects inside included
+  readTemplateExpression() {
+    const outer = this.tokens;
+    this.tokens = [];
+    let depth = 0;
+    while (this.pos < this.input.length) {
+      this.skipWhitespace();
+      if (this.input[this.pos] === '}' && depth === 0) break;
+      const count = this.tokens.length;
+      this.scanToken();
+      const token = this.tokens.length > count ? this.tokens[this.tokens.length - 1] : null;
+      if (token && token.type === 'SYMBOL' && token.value === '{') depth++;
+      if (token && token.type === 'SYMBOL' && token.value === '}') depth--;
+    }
+    if (this.pos < this.input.length) {
+      this.start = this.pos;
+      this.pos++;
+      this.addToken('SYMBOL', '}');
+    }
+    this.start = this.pos;
+    this.addToken('EOF', '');
+    const tokens = this.tokens;
+    this.tokens = outer;
+    return tokens;
   }
 }
 
 // --- PSLParser ---
 
+// get("/api/items"), post(url, body)... unless the program defines a function of that name
+const requestMethods = { get: 'GET', post: 'POST', put: 'PUT', patch: 'PATCH', delete: 'DELETE' };
+
+// Binary operators from the loosest to the tightest binding, all left associative.
+// The ternary `a ? b : c` binds looser than all of them, the unary `!` and `-`
+// tighter, and parentheses group as usual:
+//
+//   ||          logical or
+//   &&          logical and
+//   == !=       equality (strict in the generated JavaScript)
+//   < > <= >=   comparison
+//   + -         addition, concatenation
+//   * / %       multiplication
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '>', '<=', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
 class PSLParser {
-  constructor(tokens) {
+  constructor(tokens, source = null) {
     this.tokens = tokens;
+    this.source = source;
     this.pos = 0;
     this.ast = null; 
+    this.diagnostics = [];
   }
 
   parse() {
     const ast = {
       type: 'Program',
+      loc: this.loc(this.peek()),
       metadata: {},
       pages: {},
       functions: {},
       globalVariables: {},
       statements: [],
       keyHandlers: [],
+      updateHandlers: [],
+      syncedHandlers: [],
+      stores: {},
+      cacheRules: [],
       components: {},
       mediaQueries: {},
       watchers: [],
@@ -180,72 +379,91 @@ class PSLParser {
     this.ast = ast; 
 
     while (!this.isAtEnd()) {
-      this.skipWhitespace();
+      const before = this.pos;
+      try {
+        this.skipWhitespace();
       
-      if (this.peek().type === 'HASH') {
-        this.pos++;
-        const key = this.expect('IDENTIFIER').value;
+        if (this.peek().type === 'HASH') {
+          this.pos++;
+          const key = this.expect('IDENTIFIER').value;
         
-        if (key === 'import') {
-          this.expect('SYMBOL', ':');
-          const importPath = this.parseExpression();
-          ast.imports.push(importPath);
-        } else {
-          this.expect('SYMBOL', '=');
-          const value = this.parseExpression();
-          ast.metadata[key] = value;
-        }
+          if (key === 'import') {
+            this.expect('SYMBOL', ':');
+            const importPath = this.parseExpression();
+            ast.imports.push(importPath);
+          } else {
+            this.expect('SYMBOL', '=');
+            const value = this.parseExpression();
+            ast.metadata[key] = value;
+          }
         
-        if (this.peek().value === ';') this.pos++;
-      } else if (this.peek().type === 'AT') {
-        // Media queries
-        this.pos++;
-        const mediaType = this.expect('IDENTIFIER').value;
-        this.expect('SYMBOL', '{');
-        const rules = this.parseMediaQueryRules();
-        this.expect('SYMBOL', '}');
-        ast.mediaQueries[mediaType] = rules;
-      } else if (this.peek().type === 'IDENTIFIER') {
-        const name = this.peek().value;
-        const lookAhead = this.peekAhead(1);
+          if (this.peek().value === ';') this.pos++;
+        } else if (this.peek().type === 'AT') {
+          // Media queries
+          this.pos++;
+          const mediaType = this.expect('IDENTIFIER').value;
+          this.expect('SYMBOL', '{');
+          const rules = this.parseMediaQueryRules();
+          this.expect('SYMBOL', '}');
+          ast.mediaQueries[mediaType] = rules;
+        } else if (this.peek().value === 'if' && this.peekAhead(1).value === '(') {
+          ast.statements.push(this.parseIfStatement());
+        } else if (this.peek().value === 'for' && this.peekAhead(1).value === '(') {
+          ast.statements.push(this.parseFor());
+        } else if (this.peek().value === 'while' && this.peekAhead(1).value === '(') {
+          ast.statements.push(this.parseWhile());
+        } else if (this.peek().type === 'IDENTIFIER') {
+          const name = this.peek().value;
+          const lookAhead = this.peekAhead(1);
         
-        if (name === 'onKey' && lookAhead.value === '(') {
-          ast.keyHandlers.push(this.parseKeyHandler());
-        } else if (name === 'component' && lookAhead.type === 'IDENTIFIER') {
-          this.parseComponent();
-        } else if (name === 'watch' && lookAhead.value === '(') {
-          ast.watchers.push(this.parseWatcher());
-        } else if (name === 'every' && lookAhead.value === '(') {
-          ast.intervals.push(this.parseInterval());
-        } else if (name === 'state' && lookAhead.type === 'IDENTIFIER') {
-          this.parseState();
-        } else if (lookAhead.value === '(') {
-          if (this.peekAhead(2).value === '{' || this.isFunctionDeclaration()) {
+          if (name === 'onKey' && lookAhead.value === '(') {
+            ast.keyHandlers.push(this.parseKeyHandler());
+          } else if (name === 'onUpdate' && lookAhead.value === '{') {
+            ast.updateHandlers.push(this.parseUpdateHandler());
+          } else if (name === 'onSynced' && lookAhead.value === '{') {
+            ast.syncedHandlers.push(this.parseSyncedHandler());
+          } else if (name === 'cache' && lookAhead.value === '{') {
+            ast.cacheRules.push(...this.parseCacheRules());
+          } else if (name === 'component' && lookAhead.type === 'IDENTIFIER') {
+            this.parseComponent();
+          } else if (name === 'watch' && lookAhead.value === '(') {
+            ast.watchers.push(this.parseWatcher());
+          } else if (name === 'every' && lookAhead.value === '(') {
+            ast.intervals.push(this.parseInterval());
+          } else if (name === 'state' && lookAhead.type === 'IDENTIFIER') {
+            this.parseState();
+          } else if (name === 'store' && lookAhead.type === 'IDENTIFIER') {
+            this.parseStore();
+          } else if (name === 'page' && lookAhead.type === 'IDENTIFIER' && this.peekAhead(2).value === '{') {
+            this.expect('IDENTIFIER', 'page');
+            const pageName = this.expect('IDENTIFIER').value;
+            ast.pages[pageName] = this.parsePage();
+          } else if (lookAhead.value === '(') {
+            if (this.peekAhead(2).value === '{' || this.isFunctionDeclaration()) {
+              this.expect('IDENTIFIER');
+              ast.functions[name] = this.parseFunction();
+            } else {
+              this.skip();
+            }
+          } else if (lookAhead.value === '{') {
             this.expect('IDENTIFIER');
-            ast.functions[name] = this.parseFunction();
+            ast.pages[name] = this.parsePage();
+          } else if (lookAhead.value === '=') {
+            const start = this.expect('IDENTIFIER');
+            this.expect('SYMBOL', '=');
+            const value = this.parseExpression();
+            // The value is the state, declLoc where it's declared
+            value.declLoc = this.loc(start);
+            ast.globalVariables[name] = value;
+            if (this.peek().value === ';') this.pos++;
           } else {
-            this.pos++;
+            this.skip();
           }
-        } else if (lookAhead.value === '{') {
-          this.expect('IDENTIFIER');
-          ast.pages[name] = this.parsePage();
-        } else if (lookAhead.value === '=') {
-          this.expect('IDENTIFIER');
-          this.expect('SYMBOL', '=');
-          const value = this.parseExpression();
-          ast.globalVariables[name] = value;
-          if (this.peek().value === ';') this.pos++;
         } else {
-          this.pos++;
+          this.skip();
         }
-      } else if (this.peek().value === 'if') {
-        ast.statements.push(this.parseIf());
-      } else if (this.peek().value === 'for') {
-        ast.statements.push(this.parseFor());
-      } else if (this.peek().value === 'while') {
-        ast.statements.push(this.parseWhile());
-      } else {
-        this.pos++;
+      } catch (err) {
+        this.recover(err, before);
       }
     }
 
@@ -271,37 +489,47 @@ class PSLParser {
     const rules = {};
     
     while (this.peek().value !== '}' && !this.isAtEnd()) {
-      this.skipWhitespace();
-      if (this.peek().value === '}') break;
+      const before = this.pos;
+      try {
+        this.skipWhitespace();
+        if (this.peek().value === '}') break;
       
-      // Support pour les pages dans les media queries
-      if (this.peek().value === 'page') {
-        this.expect('IDENTIFIER', 'page');
-        const pageName = this.expect('IDENTIFIER').value;
-        this.expect('SYMBOL', '{');
+        // Support pour les pages dans les media queries
+        if (this.peek().value === 'page') {
+          this.expect('IDENTIFIER', 'page');
+          const pageName = this.expect('IDENTIFIER').value;
+          this.expect('SYMBOL', '{');
         
-        const pageRules = {};
-        while (this.peek().value !== '}' && !this.isAtEnd()) {
-          this.skipWhitespace();
-          if (this.peek().value === '}') break;
+          const pageRules = {};
+          while (this.peek().value !== '}' && !this.isAtEnd()) {
+            const before = this.pos;
+            try {
+              this.skipWhitespace();
+              if (this.peek().value === '}') break;
+          
+              const selector = this.expect('IDENTIFIER').value;
+              this.expect('SYMBOL', ':');
+              const value = this.parseExpression();
+              pageRules[selector] = value;
           
+              if (this.peek().value === ';') this.pos++;
+            } catch (err) {
+              this.recover(err, before);
+            }
+          }
+          this.expect('SYMBOL', '}');
+        
+          rules[pageName] = pageRules;
+        } else {
           const selector = this.expect('IDENTIFIER').value;
           this.expect('SYMBOL', ':');
           const value = this.parseExpression();
-          pageRules[selector] = value;
-          
+          rules[selector] = value;
+        
           if (this.peek().value === ';') this.pos++;
         }
-        this.expect('SYMBOL', '}');
-        
-        rules[pageName] = pageRules;
-      } else {
-        const selector = this.expect('IDENTIFIER').value;
-        this.expect('SYMBOL', ':');
-        const value = this.parseExpression();
-        rules[selector] = value;
-        
-        if (this.peek().value === ';') this.pos++;
+      } catch (err) {
+        this.recover(err, before);
       }
     }
     
@@ -309,7 +537,7 @@ class PSLParser {
   }
   
   parseComponent() {
-    this.expect('IDENTIFIER', 'component');
+    const start = this.expect('IDENTIFIER', 'component');
     const name = this.expect('IDENTIFIER').value;
     
     this.expect('SYMBOL', '(');
@@ -324,19 +552,24 @@ class PSLParser {
     const elements = [];
     
     while (this.peek().value !== '}' && !this.isAtEnd()) {
-      this.skipWhitespace();
-      if (this.peek().value === '}') break;
-      const el = this.parseTopLevelElement();
-      if (el) elements.push(el);
+      const before = this.pos;
+      try {
+        this.skipWhitespace();
+        if (this.peek().value === '}') break;
+        const el = this.parseTopLevelElement();
+        if (el) elements.push(el);
+      } catch (err) {
+        this.recover(err, before);
+      }
     }
     
     this.expect('SYMBOL', '}');
     
-    this.ast.components[name] = { params, elements };
+    this.ast.components[name] = this.node(start, { params, elements });
   }
   
   parseWatcher() {
-    this.expect('IDENTIFIER', 'watch');
+    const start = this.expect('IDENTIFIER', 'watch');
     this.expect('SYMBOL', '(');
     const variable = this.parseExpression();
     this.expect('SYMBOL', ')');
@@ -344,11 +577,11 @@ class PSLParser {
     const actions = this.parseEventHandlerBody();
     this.expect('SYMBOL', '}');
     
-    return { variable, actions };
+    return this.node(start, { variable, actions });
   }
   
   parseInterval() {
-    this.expect('IDENTIFIER', 'every');
+    const start = this.expect('IDENTIFIER', 'every');
     this.expect('SYMBOL', '(');
     const duration = this.parseExpression();
     this.expect('SYMBOL', ')');
@@ -356,21 +589,40 @@ class PSLParser {
     const actions = this.parseEventHandlerBody();
     this.expect('SYMBOL', '}');
     
-    return { duration, actions };
+    return this.node(start, { duration, actions });
   }
   
+  // store todos: a collection of records kept in IndexedDB,
+  // store todos(list, priority) also indexes these fields for query()
+  parseStore() {
+    const start = this.expect('IDENTIFIER', 'store');
+    const name = this.expect('IDENTIFIER').value;
+    const indexes = [];
+    if (this.peek().value === '(') {
+      this.pos++;
+      while (this.peek().value !== ')') {
+        indexes.push(this.expect('IDENTIFIER').value);
+        if (this.peek().value === ',') this.pos++;
+      }
+      this.expect('SYMBOL', ')');
+    }
+    this.ast.stores[name] = this.node(start, { name, indexes });
+    if (this.peek().value === ';') this.pos++;
+  }
+
   parseState() {
-    this.expect('IDENTIFIER', 'state');
+    const start = this.expect('IDENTIFIER', 'state');
     const name = this.expect('IDENTIFIER').value;
     this.expect('SYMBOL', '=');
     const value = this.parseExpression();
+    value.declLoc = this.loc(start);
     
     this.ast.globalVariables[name] = value;
     if (this.peek().value === ';') this.pos++;
   }
   
   parseKeyHandler() {
-    this.expect('IDENTIFIER', 'onKey');
+    const start = this.expect('IDENTIFIER', 'onKey');
     this.expect('SYMBOL', '(');
     const keyExpression = this.parseExpression(); 
     this.expect('SYMBOL', ')');
@@ -379,11 +631,73 @@ class PSLParser {
     const actions = this.parseEventHandlerBody(); 
     this.expect('SYMBOL', '}');
 
-    return { type: 'keyHandler', key: keyExpression, actions };
+    return this.node(start, { type: 'keyHandler', key: keyExpression, actions });
+  }
+
+  parseUpdateHandler() {
+    const start = this.expect('IDENTIFIER', 'onUpdate');
+    this.expect('SYMBOL', '{');
+    const actions = this.parseEventHandlerBody();
+    this.expect('SYMBOL', '}');
+
+    return this.node(start, { type: 'updateHandler', actions });
+  }
+
+  parseSyncedHandler() {
+    const start = this.expect('IDENTIFIER', 'onSynced');
+    this.expect('SYMBOL', '{');
+    const actions = this.parseEventHandlerBody();
+    this.expect('SYMBOL', '}');
+
+    return this.node(start, { type: 'syncedHandler', actions });
+  }
+
+  // `offline: queue`, once the key is consumed
+  parseOfflineMode() {
+    const mode = this.expect('IDENTIFIER');
+    if (mode.value !== 'queue') {
+      throw this.error(`Unknown offline mode '${mode.value}' (expected queue)`, mode, 'unknown-offline-mode');
+    }
+    return mode.value;
+  }
+
+  parseCacheRules() {
+    const strategies = ['cache-first', 'network-first', 'stale-while-revalidate', 'network-only'];
+    const rules = [];
+
+    this.expect('IDENTIFIER', 'cache');
+    this.expect('SYMBOL', '{');
+    while (this.peek().value !== '}' && !this.isAtEnd()) {
+      const before = this.pos;
+      try {
+        const patternToken = this.expect('STRING');
+        const pattern = patternToken.value;
+        this.expect('SYMBOL', ':');
+
+        // Strategies are hyphenated: network-first, stale-while-revalidate...
+        const strategyToken = this.expect('IDENTIFIER');
+        let strategy = strategyToken.value;
+        while (this.peek().value === '-') {
+          this.pos++;
+          strategy += '-' + this.expect('IDENTIFIER').value;
+        }
+        if (!strategies.includes(strategy)) {
+          throw this.error(`Unknown cache strategy '${strategy}' for "${pattern}" (expected ${strategies.join(', ')})`, strategyToken, 'unknown-cache-strategy');
+        }
+
+        rules.push(this.node(patternToken, { pattern, strategy }));
+        if (this.peek().value === ';' || this.peek().value === ',') this.pos++;
+      } catch (err) {
+        this.recover(err, before);
+      }
+    }
+    this.expect('SYMBOL', '}');
+
+    return rules;
   }
 
   parseFor() {
-    this.expect('IDENTIFIER'); 
+    const start = this.expect('IDENTIFIER'); 
     this.expect('SYMBOL', '(');
     const varName = this.expect('IDENTIFIER').value;
     this.expect('IDENTIFIER'); 
@@ -393,11 +707,11 @@ class PSLParser {
     const body = this.parseBlock();
     this.expect('SYMBOL', '}');
     
-    return { type: 'for', varName, collection, body };
+    return this.node(start, { type: 'for', varName, collection, body });
   }
 
   parseWhile() {
-    this.expect('IDENTIFIER', 'while');
+    const start = this.expect('IDENTIFIER', 'while');
     this.expect('SYMBOL', '(');
     const condition = this.parseExpression();
     this.expect('SYMBOL', ')');
@@ -405,11 +719,11 @@ class PSLParser {
     const body = this.parseBlock();
     this.expect('SYMBOL', '}');
     
-    return { type: 'while', condition, body };
+    return this.node(start, { type: 'while', condition, body });
   }
 
   parseFunction() {
-    this.expect('SYMBOL', '(');
+    const start = this.expect('SYMBOL', '(');
     const params = [];
     
     while (this.peek().value !== ')') {
@@ -424,89 +738,105 @@ class PSLParser {
     const body = this.parseBlock();
     this.expect('SYMBOL', '}');
     
-    return { params, body };
+    return this.node(start, { params, body });
   }
 
   parsePage() {
-    this.expect('SYMBOL', '{');
+    const start = this.expect('SYMBOL', '{');
     const elements = [];
     let padding = null;
     let bg = null;
     
     while (this.peek().value !== '}' && !this.isAtEnd()) {
-      this.skipWhitespace();
-      if (this.peek().value === '}') break;
+      const before = this.pos;
+      try {
+        this.skipWhitespace();
+        if (this.peek().value === '}') break;
       
-      const token = this.peek();
-      const nextToken = this.peekAhead(1);
+        const token = this.peek();
+        const nextToken = this.peekAhead(1);
 
-      if (token.value === 'onKey' && nextToken.value === '(') {
-          this.ast.keyHandlers.push(this.parseKeyHandler());
-          continue; 
-      }
+        if (token.value === 'onKey' && nextToken.value === '(') {
+            this.ast.keyHandlers.push(this.parseKeyHandler());
+            continue; 
+        }
       
-      if (token.value === 'onSwipeLeft' || token.value === 'onSwipeRight' || 
-          token.value === 'onSwipeUp' || token.value === 'onSwipeDown') {
-        const swipeHandler = this.parseSwipeHandler();
-        elements.push(swipeHandler);
-        continue;
-      }
+        if (token.value === 'onSwipeLeft' || token.value === 'onSwipeRight' || 
+            token.value === 'onSwipeUp' || token.value === 'onSwipeDown') {
+          const swipeHandler = this.parseSwipeHandler();
+          elements.push(swipeHandler);
+          continue;
+        }
       
-      if (token.type === 'IDENTIFIER' && token.value === 'padding' && nextToken.value === ':') {
-        this.expect('IDENTIFIER', 'padding');
-        this.expect('SYMBOL', ':');
-        padding = this.parseExpression();
-        if (this.peek().value === ';') this.pos++;
-        continue;
-      }
+        if (token.type === 'IDENTIFIER' && token.value === 'padding' && nextToken.value === ':') {
+          this.expect('IDENTIFIER', 'padding');
+          this.expect('SYMBOL', ':');
+          padding = this.parseExpression();
+          if (this.peek().value === ';') this.pos++;
+          continue;
+        }
       
-      if (token.type === 'IDENTIFIER' && token.value === 'bg' && nextToken.value === ':') {
-        this.expect('IDENTIFIER', 'bg');
-        this.expect('SYMBOL', ':');
-        bg = this.parseExpression();
-        if (this.peek().value === ';') this.pos++;
-        continue;
-      }
+        if (token.type === 'IDENTIFIER' && token.value === 'bg' && nextToken.value === ':') {
+          this.expect('IDENTIFIER', 'bg');
+          this.expect('SYMBOL', ':');
+          bg = this.parseExpression();
+          if (this.peek().value === ';') this.pos++;
+          continue;
+        }
       
-      const el = this.parseTopLevelElement();
-      if (el) elements.push(el);
+        const el = this.parseTopLevelElement();
+        if (el) elements.push(el);
+      } catch (err) {
+        this.recover(err, before);
+      }
     }
     
     this.expect('SYMBOL', '}');
-    return { elements, padding, bg };
+    return this.node(start, { elements, padding, bg });
   }
   
   parseSwipeHandler() {
-    const direction = this.expect('IDENTIFIER').value;
+    const start = this.expect('IDENTIFIER');
+    const direction = start.value;
     this.expect('SYMBOL', '{');
     const actions = this.parseEventHandlerBody();
     this.expect('SYMBOL', '}');
     
-    return {
+    return this.node(start, {
       type: 'SwipeHandler',
       direction: direction.replace('onSwipe', '').toLowerCase(),
       actions
-    };
+    });
   }
 
   parseElementBlock() {
       const elements = [];
       while (this.peek().value !== '}' && !this.isAtEnd()) {
-          this.skipWhitespace();
-          if (this.peek().value === '}') break;
-          const el = this.parseTopLevelElement();
-          if (el) elements.push(el);
+          const before = this.pos;
+          try {
+              this.skipWhitespace();
+              if (this.peek().value === '}') break;
+              const el = this.parseTopLevelElement();
+              if (el) elements.push(el);
+          } catch (err) {
+              this.recover(err, before);
+          }
       }
       return elements;
   }
 
   parseTopLevelElement() {
-    if (this.peek().type !== 'IDENTIFIER') return null;
+    if (this.peek().type !== 'IDENTIFIER') {
+      this.skip();
+      return null;
+    }
     
-    const elementName = this.peek().value;
+    const start = this.peek();
+    const elementName = start.value;
     const lookAhead = this.peekAhead(1);
 
     if (elementName === 'onKey' && lookAhead.value === '(') {
+        this.ast.keyHandlers.push(this.parseKeyHandler());
         return null; 
     }
     
@@ -514,6 +844,10 @@ class PSLParser {
       return this.parseForLoop();
     }
     
+    if (elementName === 'if' && lookAhead.value === '(') {
+      return this.parseConditional();
+    }
+    
     this.pos++; 
     
     this.expect('SYMBOL', '(');
@@ -521,8 +855,10 @@ class PSLParser {
     let props = {};
     let directText = null;
     
-    if (this.peek().type === 'STRING' || this.peek().type === 'IDENTIFIER') {
-      directText = this.parseExpression();
+    // The first argument is the content of the element, the others are component arguments
+    const args = this.parseArguments();
+    if (args.length > 0) {
+      directText = args[0];
       if (elementName === 'image') {
         props.src = directText;
       } else if (elementName === 'input') {
@@ -532,83 +868,100 @@ class PSLParser {
       }
     }
     
-    this.expect('SYMBOL', ')');
-    
     let children = [];
     let handlers = [];
 
     if (this.peek().value === '{') {
       this.pos++;
       while (this.peek().value !== '}' && !this.isAtEnd()) {
-        this.skipWhitespace();
-        if (this.peek().value === '}') break;
+        const before = this.pos;
+        try {
+          this.skipWhitespace();
+          if (this.peek().value === '}') break;
         
-        const token = this.peek();
-        const nextToken = this.peekAhead(1);
+          const token = this.peek();
+          const nextToken = this.peekAhead(1);
         
-        if (token.type === 'IDENTIFIER' && nextToken.value === ':') {
-          const key = this.expect('IDENTIFIER').value;
-          this.expect('SYMBOL', ':');
-          const value = this.parseExpression();
-          props[key] = value;
-          if (this.peek().value === ';') this.pos++;
-        }
-        else if (token.type === 'IDENTIFIER' && nextToken.value === ';') {
-          const key = this.expect('IDENTIFIER').value;
-          this.expect('SYMBOL', ';');
-          props[key] = { type: 'boolean', value: true };
-        }
-        else if (token.type === 'IDENTIFIER' && ['onClick', 'onHover', 'onChange', 'onFocus', 'onBlur', 'onSubmit', 'onDragStart', 'onDragEnd', 'onDrop'].includes(token.value) && nextToken.value === '{') {
-          const eventName = this.expect('IDENTIFIER').value;
-          handlers.push(this.parseEventHandler(eventName));
-        }
-        else if (token.value === 'if' && nextToken.value === '(') {
-          this.pos++; 
-
-          this.expect('SYMBOL', '(');
-          const condition = this.parseExpression();
-          this.expect('SYMBOL', ')');
-          this.expect('SYMBOL', '{');
-          const ifChildren = this.parseElementBlock();
-          this.expect('SYMBOL', '}');
-
-          let elseChildren = null;
-          if (this.peek().value === 'else') {
-              this.pos++;
-              this.expect('SYMBOL', '{');
-              elseChildren = this.parseElementBlock();
-              this.expect('SYMBOL', '}');
+          if (token.type === 'IDENTIFIER' && nextToken.value === ':') {
+            const key = this.expect('IDENTIFIER').value;
+            this.expect('SYMBOL', ':');
+            const value = this.parseExpression();
+            props[key] = value;
+            if (this.peek().value === ';') this.pos++;
           }
-
-          children.push({ type: 'if', condition, children: ifChildren, elseChildren });
-        }
-        else if (token.value === 'for' && nextToken.value === '(') {
-          children.push(this.parseForLoop());
-        }
-        else if (token.type === 'IDENTIFIER' && nextToken.value === '(') {
-          const el = this.parseTopLevelElement();
-          if (el) children.push(el);
-        }
-        else {
-          this.pos++;
+          else if (token.type === 'IDENTIFIER' && nextToken.value === ';') {
+            const key = this.expect('IDENTIFIER').value;
+            this.expect('SYMBOL', ';');
+            props[key] = this.node(token, { type: 'boolean', value: true });
+          }
+          else if (token.type === 'IDENTIFIER' && ['onClick', 'onHover', 'onChange', 'onFocus', 'onBlur', 'onSubmit', 'onDragStart', 'onDragEnd', 'onDrop'].includes(token.value) && nextToken.value === '{') {
+            const eventName = this.expect('IDENTIFIER').value;
+            handlers.push(this.parseEventHandler(eventName));
+          }
+          else if (token.value === 'if' && nextToken.value === '(') {
+            children.push(this.parseConditional());
+          }
+          else if (token.value === 'for' && nextToken.value === '(') {
+            children.push(this.parseForLoop());
+          }
+          else if (token.type === 'IDENTIFIER' && nextToken.value === '(') {
+            const el = this.parseTopLevelElement();
+            if (el) children.push(el);
+          }
+          else {
+            this.skip();
+          }
+        } catch (err) {
+          this.recover(err, before);
         }
       }
       this.expect('SYMBOL', '}');
     }
 
-    return {
+    return this.node(start, {
       type: 'Element',
       name: elementName,
+      args,
       props,
       children,
       handlers
-    };
+    });
   }
   
+  // if (condition) { elements } else if (...) { ... } else { elements }
+  parseConditional() {
+    const start = this.expect('IDENTIFIER', 'if');
+    this.expect('SYMBOL', '(');
+    const condition = this.parseExpression();
+    this.expect('SYMBOL', ')');
+    this.expect('SYMBOL', '{');
+    const children = this.parseElementBlock();
+    this.expect('SYMBOL', '}');
+
+    let elseChildren = null;
+    if (this.peek().value === 'else') {
+      this.pos++;
+      if (this.peek().value === 'if') {
+        elseChildren = [this.parseConditional()];
+      } else {
+        this.expect('SYMBOL', '{');
+        elseChildren = this.parseElementBlock();
+        this.expect('SYMBOL', '}');
+      }
+    }
+
+    return this.node(start, { type: 'if', condition, children, elseChildren });
+  }
+
   parseForLoop() {
-    this.expect('IDENTIFIER', 'for');
+    const start = this.expect('IDENTIFIER', 'for');
     this.expect('SYMBOL', '(');
     const varName = this.expect('IDENTIFIER').value;
+    let indexName = null;
+    if (this.peek().value === ',') {
+      this.pos++;
+      indexName = this.expect('IDENTIFIER').value;
+    }
     this.expect('IDENTIFIER', 'in');
     const collection = this.parseExpression();
     this.expect('SYMBOL', ')');
@@ -616,12 +969,13 @@ class PSLParser {
     const elements = this.parseElementBlock();
     this.expect('SYMBOL', '}');
     
-    return {
+    return this.node(start, {
       type: 'ForLoop',
       varName,
+      indexName,
       collection,
       elements
-    };
+    });
   }
 
   parseInlineProperties() {
@@ -654,112 +1008,126 @@ class PSLParser {
     const actions = [];
     
     while (this.peek().value !== '}' && !this.isAtEnd()) {
-      this.skipWhitespace();
-      if (this.peek().value === '}') break;
+      const before = this.pos;
+      try {
+        this.skipWhitespace();
+        if (this.peek().value === '}') break;
       
-      const token = this.peek();
-      const next = this.peekAhead(1);
+        const token = this.peek();
+        const next = this.peekAhead(1);
       
-      if (token.value === 'if' && next.value === '(') {
-        actions.push(this.parseIfAction());
-        continue; 
-      }
+        if (token.value === 'if' && next.value === '(') {
+          actions.push(this.parseIfAction());
+          continue; 
+        }
       
-      if (token.value === 'wait' && next.value === '(') {
-        actions.push(this.parseWaitAction());
-        continue;
-      }
+        if (token.value === 'wait' && next.value === '(') {
+          actions.push(this.parseWaitAction());
+          continue;
+        }
+
+        if (token.value === 'let' && next.type === 'IDENTIFIER') {
+          actions.push(this.parseLet());
+          continue;
+        }
+
+        if (token.value === 'request' && next.value === '{') {
+          actions.push(this.parseRequest(() => this.parseEventHandlerBody()));
+          continue;
+        }
       
-      if (token.value === 'else') {
-        break;
-      }
+        if (token.value === 'else') {
+          break;
+        }
       
-      if (token.type === 'IDENTIFIER') {
-        const name = token.value;
+        if (token.type === 'IDENTIFIER') {
+          const name = token.value;
         
-        if (next.value === '(') {
-            this.pos++; 
-            this.expect('SYMBOL', '(');
-            const args = [];
-            while (this.peek().value !== ')') {
-                args.push(this.parseExpression());
-                if (this.peek().value === ',') this.pos++;
-            }
-            this.expect('SYMBOL', ')');
-            actions.push({ type: 'functionCall', name, args });
+          if (next.value === '(') {
+              this.pos++; 
+              this.expect('SYMBOL', '(');
+              const args = this.parseArguments();
+              actions.push(this.node(token, { type: 'functionCall', name, args }));
+              if (this.peek().value === ';') this.pos++;
+              continue;
+          }
+        
+          if (next.value === '.' && this.peekAhead(2).type === 'IDENTIFIER' && ['.', '['].includes(this.peekAhead(3).value)) {
+            // t.tags.push(tag), only calls are useful as statements
+            const value = this.parseExpression();
+            if (value.type !== 'call') throw this.error('Expected a call, an assignment or a statement', token);
+            actions.push(this.node(token, { type: 'expression', value }));
             if (this.peek().value === ';') this.pos++;
             continue;
-        }
-        
-        if (next.value === '.' && this.peekAhead(2).type === 'IDENTIFIER') {
-          const elemName = this.expect('IDENTIFIER').value;
-          this.expect('SYMBOL', '.');
-          const propName = this.expect('IDENTIFIER').value;
+          }
+
+          if (next.value === '.' && this.peekAhead(2).type === 'IDENTIFIER') {
+            const elemName = this.expect('IDENTIFIER').value;
+            this.expect('SYMBOL', '.');
+            const propName = this.expect('IDENTIFIER').value;
           
-          // Vérifier si c'est un appel de méthode sur une page (ex: page2.go())
-          if (this.peek().value === '(') {
-            this.pos++;
-            const args = [];
-            while (this.peek().value !== ')') {
-                args.push(this.parseExpression());
-                if (this.peek().value === ',') this.pos++;
+            // Vérifier si c'est un appel de méthode sur une page (ex: page2.go())
+            if (this.peek().value === '(') {
+              this.pos++;
+              const args = this.parseArguments();
+              actions.push(this.node(token, { 
+                type: 'pageMethodCall', 
+                pageName: elemName, 
+                methodName: propName, 
+                args 
+              }));
+              if (this.peek().value === ';') this.pos++;
+              continue;
+            }
+          
+            if (this.peek().value === ':') {
+              this.pos++;
+              const value = this.parseExpression();
+              actions.push(this.node(token, { 
+                type: 'assignment', 
+                key: `${elemName}.${propName}`, 
+                value 
+              }));
+            }
+            else if (this.peek().value === ';') {
+              this.pos++;
+              actions.push(this.node(token, { 
+                type: 'assignment', 
+                key: `${elemName}.${propName}`, 
+                value: this.node(token, { type: 'boolean', value: true })
+              }));
+            }
+            else {
+               actions.push(this.node(token, { 
+                type: 'assignment', 
+                key: `${elemName}.${propName}`, 
+                value: this.node(token, { type: 'boolean', value: true })
+              }));
             }
-            this.expect('SYMBOL', ')');
-            actions.push({ 
-              type: 'pageMethodCall', 
-              pageName: elemName, 
-              methodName: propName, 
-              args 
-            });
-            if (this.peek().value === ';') this.pos++;
             continue;
           }
-          
-          if (this.peek().value === ':') {
-            this.pos++;
+          else if (next.value === ':') {
+            const key = this.expect('IDENTIFIER').value;
+            this.expect('SYMBOL', ':');
             const value = this.parseExpression();
-            actions.push({ 
-              type: 'assignment', 
-              key: `${elemName}.${propName}`, 
-              value 
-            });
+            actions.push(this.node(token, { type: 'assignment', key, value }));
+            if (this.peek().value === ';') this.pos++;
+            continue;
           }
-          else if (this.peek().value === ';') {
-            this.pos++;
-            actions.push({ 
-              type: 'assignment', 
-              key: `${elemName}.${propName}`, 
-              value: { type: 'boolean', value: true }
-            });
+          else if (next.value === ';') {
+            const key = this.expect('IDENTIFIER').value;
+            this.expect('SYMBOL', ';');
+            actions.push(this.node(token, { type: 'assignment', key, value: this.node(token, { type: 'boolean', value: true }) }));
+            continue;
           }
           else {
-             actions.push({ 
-              type: 'assignment', 
-              key: `${elemName}.${propName}`, 
-              value: { type: 'boolean', value: true }
-            });
+            this.skip();
           }
-          continue;
-        }
-        else if (next.value === ':') {
-          const key = this.expect('IDENTIFIER').value;
-          this.expect('SYMBOL', ':');
-          const value = this.parseExpression();
-          actions.push({ type: 'assignment', key, value });
-          if (this.peek().value === ';') this.pos++;
-          continue;
-        }
-        else if (next.value === ';') {
-          const key = this.expect('IDENTIFIER').value;
-          this.expect('SYMBOL', ';');
-          actions.push({ type: 'assignment', key, value: { type: 'boolean', value: true } });
-          continue;
-        }
-        else {
-          this.pos++;
+        } else {
+          this.skip();
         }
-      } else {
-        this.pos++;
+      } catch (err) {
+        this.recover(err, before);
       }
     }
     
@@ -767,7 +1135,7 @@ class PSLParser {
   }
   
   parseWaitAction() {
-    this.expect('IDENTIFIER', 'wait');
+    const start = this.expect('IDENTIFIER', 'wait');
     this.expect('SYMBOL', '(');
     const duration = this.parseExpression();
     this.expect('SYMBOL', ')');
@@ -781,60 +1149,151 @@ class PSLParser {
       if (this.peek().value === ';') this.pos++;
     }
     
-    return { type: 'wait', duration, body };
+    return this.node(start, { type: 'wait', duration, body });
   }
 
   parseEventHandler(eventName) {
-    this.expect('SYMBOL', '{');
+    const start = this.expect('SYMBOL', '{');
     const actions = this.parseEventHandlerBody();
     this.expect('SYMBOL', '}');
-    return { event: eventName, actions };
+    return this.node(start, { event: eventName, actions });
   }
 
   parseBlock() {
     const statements = [];
     
     while (this.peek().value !== '}' && !this.isAtEnd()) {
-      this.skipWhitespace();
-      if (this.peek().value === '}') break;
+      const before = this.pos;
+      try {
+        this.skipWhitespace();
+        if (this.peek().value === '}') break;
       
-      if (this.peek().value === 'if') {
-        statements.push(this.parseIfStatement());
-      } 
-      else if (this.peek().type === 'IDENTIFIER' && this.peekAhead(1).value === '(') {
-        const funcName = this.expect('IDENTIFIER').value;
-        this.expect('SYMBOL', '(');
-        const args = [];
-        while (this.peek().value !== ')') {
-          args.push(this.parseExpression());
-          if (this.peek().value === ',') this.pos++;
+        if (this.peek().value === 'if') {
+          statements.push(this.parseIfStatement());
         }
-        this.expect('SYMBOL', ')');
-        statements.push({ type: 'functionCall', name: funcName, args });
-        if (this.peek().value === ';') this.pos++;
-      } 
-      else if (this.peek().type === 'IDENTIFIER' && this.peekAhead(1).value === '=') {
-        const varName = this.expect('IDENTIFIER').value;
-        this.expect('SYMBOL', '=');
-        const value = this.parseExpression();
-        statements.push({ type: 'assignment', varName, value });
-        if (this.peek().value === ';') this.pos++;
-      } 
-      else if (this.peek().type === 'IDENTIFIER' && this.peekAhead(1).value === ';') {
-        const varName = this.expect('IDENTIFIER').value;
-        this.expect('SYMBOL', ';');
-        statements.push({ type: 'assignment', varName, value: { type: 'boolean', value: true } });
-      }
-      else {
-        this.pos++;
+        else if ((this.peek().value === 'for' || this.peek().value === 'while') && this.peekAhead(1).value === '(') {
+          statements.push(this.peek().value === 'for' ? this.parseFor() : this.parseWhile());
+        }
+        else if (this.peek().value === 'return') {
+          statements.push(this.parseReturn());
+        }
+        else if (this.peek().value === 'let' && this.peekAhead(1).type === 'IDENTIFIER') {
+          statements.push(this.parseLet());
+        }
+        else if (this.peek().value === 'request' && this.peekAhead(1).value === '{') {
+          statements.push(this.parseRequest(() => this.parseBlock()));
+        }
+        else if (this.peek().type === 'IDENTIFIER' && this.peekAhead(1).value === '.') {
+          // list.push(item), only calls are useful as statements
+          const start = this.peek();
+          const value = this.parseExpression();
+          if (value.type !== 'call') throw this.error('Expected a call, an assignment or a statement', start);
+          statements.push(this.node(start, { type: 'expression', value }));
+          if (this.peek().value === ';') this.pos++;
+        }
+        else if (this.peek().type === 'IDENTIFIER' && this.peekAhead(1).value === '(') {
+          const start = this.peek();
+          const funcName = this.expect('IDENTIFIER').value;
+          this.expect('SYMBOL', '(');
+          const args = this.parseArguments();
+          statements.push(this.node(start, { type: 'functionCall', name: funcName, args }));
+          if (this.peek().value === ';') this.pos++;
+        } 
+        else if (this.peek().type === 'IDENTIFIER' && this.peekAhead(1).value === '=') {
+          const start = this.peek();
+          const varName = this.expect('IDENTIFIER').value;
+          this.expect('SYMBOL', '=');
+          const value = this.parseExpression();
+          statements.push(this.node(start, { type: 'assignment', varName, value }));
+          if (this.peek().value === ';') this.pos++;
+        } 
+        else if (this.peek().type === 'IDENTIFIER' && this.peekAhead(1).value === ';') {
+          const start = this.peek();
+          const varName = this.expect('IDENTIFIER').value;
+          this.expect('SYMBOL', ';');
+          statements.push(this.node(start, { type: 'assignment', varName, value: this.node(start, { type: 'boolean', value: true }) }));
+        }
+        else {
+          this.skip();
+        }
+      } catch (err) {
+        this.recover(err, before);
       }
     }
     
     return statements;
   }
 
+  // `return` alone, or followed by a value on the same line
+  parseReturn() {
+    const start = this.expect('IDENTIFIER', 'return');
+    const next = this.peek();
+    let value = null;
+    if (next.line === start.end.line && next.value !== '}' && next.value !== ';' && !this.isAtEnd()) {
+      value = this.parseExpression();
+    }
+    if (this.peek().value === ';') this.pos++;
+    return this.node(start, { type: 'return', value });
+  }
+
+  // `let total = 0`, a local of the enclosing function or handler
+  parseLet() {
+    const start = this.expect('IDENTIFIER', 'let');
+    const varName = this.expect('IDENTIFIER').value;
+    let value = null;
+    if (this.peek().value === '=') {
+      this.pos++;
+      value = this.parseExpression();
+    }
+    if (this.peek().value === ';') this.pos++;
+    return this.node(start, { type: 'let', varName, value });
+  }
+
+  // request { url: ..., method: ..., body: ..., headers: ..., offline: queue } then (response) { ... } catch (error) { ... }
+  // The blocks are parsed by `parseBody`, as actions in a handler or statements in a function
+  parseRequest(parseBody) {
+    const start = this.expect('IDENTIFIER', 'request');
+    const options = {};
+    this.expect('SYMBOL', '{');
+    while (this.peek().value !== '}' && !this.isAtEnd()) {
+      const key = this.expect('IDENTIFIER');
+      if (!['url', 'method', 'body', 'headers', 'offline'].includes(key.value)) {
+        throw this.error(`Unknown request option '${key.value}' (expected url, method, body, headers or offline)`, key, 'unknown-request-option');
+      }
+      this.expect('SYMBOL', ':');
+      options[key.value] = key.value === 'offline'
+        ? this.node(key, { type: 'string', value: this.parseOfflineMode() })
+        : this.parseExpression();
+      if (this.peek().value === ',' || this.peek().value === ';') this.pos++;
+    }
+    this.expect('SYMBOL', '}');
+    if (!options.url) {
+      throw this.error('A request needs an url', start, 'missing-request-url');
+    }
+
+    // Each block gets the response or the error message, under the given name or the default one
+    const parseCallback = (keyword, defaultName) => {
+      if (this.peek().value !== keyword) return null;
+      this.pos++;
+      let name = defaultName;
+      if (this.peek().value === '(') {
+        this.pos++;
+        name = this.expect('IDENTIFIER').value;
+        this.expect('SYMBOL', ')');
+      }
+      this.expect('SYMBOL', '{');
+      const body = parseBody();
+      this.expect('SYMBOL', '}');
+      return { name, body };
+    };
+    const then = parseCallback('then', 'response');
+    const fail = parseCallback('catch', 'error');
+
+    return this.node(start, { type: 'request', options, then, catch: fail });
+  }
+
   parseIfAction() {
-    this.expect('IDENTIFIER', 'if'); 
+    const start = this.expect('IDENTIFIER', 'if'); 
     this.expect('SYMBOL', '(');
     const condition = this.parseExpression();
     this.expect('SYMBOL', ')');
@@ -852,11 +1311,11 @@ class PSLParser {
         this.expect('SYMBOL', '}');
     }
     
-    return { type: 'if', condition, body, elseBody };
+    return this.node(start, { type: 'if', condition, body, elseBody });
   }
 
   parseIfStatement() {
-    this.expect('IDENTIFIER', 'if'); 
+    const start = this.expect('IDENTIFIER', 'if'); 
     this.expect('SYMBOL', '(');
     const condition = this.parseExpression();
     this.expect('SYMBOL', ')');
@@ -872,7 +1331,7 @@ class PSLParser {
         this.expect('SYMBOL', '}');
     }
     
-    return { type: 'if', condition, body, elseBody };
+    return this.node(start, { type: 'if', condition, body, elseBody });
   }
 
   parseExpression() {
@@ -880,7 +1339,8 @@ class PSLParser {
   }
   
   parseTernary() {
-    let expr = this.parseLogical();
+    const start = this.peek();
+    let expr = this.parseBinary(0);
     
     if (this.peek().value === '?') {
       this.pos++;
@@ -888,115 +1348,128 @@ class PSLParser {
       this.expect('SYMBOL', ':');
       const falseExpr = this.parseExpression();
       
-      return {
+      return this.node(start, {
         type: 'ternary',
         condition: expr,
         trueExpr,
-        falseExpr
-      };
-    }
-    
-    return expr;
-  }
-  
-  parseLogical() {
-    let left = this.parseComparison();
-    
-    while (this.peek().type === 'OPERATOR' && ['==', '!='].includes(this.peek().value)) {
-      const operator = this.peek().value;
-      this.pos++;
-      const right = this.parseComparison();
-      
-      left = {
-        type: 'binaryExpression',
-        operator,
-        left,
-        right
-      };
-    }
-    
-    return left;
-  }
-  
-  parseComparison() {
-    let left = this.parseAdditive();
-    
-    while (this.peek().value && ['<', '>', '<=', '>='].includes(this.peek().value)) {
-      const operator = this.peek().value;
-      this.pos++;
-      const right = this.parseAdditive();
-      
-      left = {
-        type: 'binaryExpression',
-        operator,
-        left,
-        right
-      };
-    }
-    
-    return left;
-  }
-  
-  parseAdditive() {
-    let left = this.parseMultiplicative();
-    
-    while (this.peek().value && ['+', '-'].includes(this.peek().value)) {
-      const operator = this.peek().value;
-      this.pos++;
-      const right = this.parseMultiplicative();
-      
-      left = {
-        type: 'binaryExpression',
-        operator,
-        left,
-        right
-      };
+        falseExpr
+      });
     }
     
-    return left;
+    return expr;
   }
   
-  parseMultiplicative() {
-    let left = this.parsePrimary();
+  // One level of BINARY_PRECEDENCE, operands are parsed at the next (tighter) level
+  parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) return this.parseUnary();
+
+    const start = this.peek();
+    let left = this.parseBinary(level + 1);
     
-    while (this.peek().value && ['*', '/', '%'].includes(this.peek().value)) {
+    while (this.isOperator(this.peek(), BINARY_PRECEDENCE[level])) {
       const operator = this.peek().value;
       this.pos++;
-      const right = this.parsePrimary();
+      const right = this.parseBinary(level + 1);
       
-      left = {
+      left = this.node(start, {
         type: 'binaryExpression',
         operator,
         left,
         right
-      };
+      });
     }
     
     return left;
   }
 
+  parseUnary() {
+    const token = this.peek();
+
+    if (this.isOperator(token, ['!', '-'])) {
+      this.pos++;
+      const argument = this.parseUnary();
+      // -5 and -10px stay literals, so they also work as CSS values, and - -5 is 5
+      if (token.value === '-' && argument.type === 'number') {
+        const negated = String(argument.value).startsWith('-') ? String(argument.value).slice(1) : `-${argument.value}`;
+        return this.node(token, { type: 'number', value: negated });
+      }
+      return this.node(token, { type: 'unaryExpression', operator: token.value, argument });
+    }
+
+    return this.parsePostfix(token, this.parsePrimary());
+  }
+
+  // Member access, indexing and calls chained after a value: user.address.city,
+  // list[0], name.toUpperCase(), sum(a, b). Without separators, a '[' or '(' on
+  // the next line starts something else, so they must stay on the same line
+  parsePostfix(start, expr) {
+    while (true) {
+      const token = this.peek();
+      const sameLine = token.line === this.tokens[this.pos - 1].end.line;
+
+      if (token.type === 'SYMBOL' && token.value === '.') {
+        this.pos++;
+        const property = this.expect('IDENTIFIER').value;
+        expr = this.node(start, { type: 'member', object: expr, property, computed: false });
+      } else if (token.type === 'SYMBOL' && token.value === '[' && sameLine) {
+        this.pos++;
+        const property = this.parseExpression();
+        this.expect('SYMBOL', ']');
+        expr = this.node(start, { type: 'member', object: expr, property, computed: true });
+      } else if (token.type === 'SYMBOL' && token.value === '(' && sameLine && ['variable', 'member', 'dotNotation'].includes(expr.type)) {
+        this.pos++;
+        const args = this.parseArguments();
+        expr = this.node(start, { type: 'call', callee: expr, args });
+        // post(url, data) offline: queue
+        const next = this.peek();
+        if (expr.callee.type === 'variable' && requestMethods[expr.callee.value] && next.value === 'offline' &&
+            this.peekAhead(1).value === ':' && next.line === this.tokens[this.pos - 1].end.line) {
+          this.pos += 2;
+          expr.offline = this.parseOfflineMode();
+        }
+      } else {
+        return expr;
+      }
+    }
+  }
+
+  isOperator(token, operators) {
+    return (token.type === 'OPERATOR' || token.type === 'SYMBOL') && operators.includes(token.value);
+  }
+
   parsePrimary() {
     const token = this.peek();
     
     if (token.type === 'STRING') {
       this.pos++;
-      return { type: 'string', value: token.value };
+      return this.node(token, { type: 'string', value: token.value });
     }
     if (token.type === 'NUMBER') {
       this.pos++;
-      return { type: 'number', value: token.value };
+      return this.node(token, { type: 'number', value: token.value });
+    }
+    if (token.type === 'TEMPLATE') {
+      this.pos++;
+      const parts = token.value.map(part => typeof part === 'string' ? part : this.parseTemplateExpression(part));
+      return this.node(token, { type: 'template', parts });
+    }
+    if (token.type === 'SYMBOL' && token.value === '(') {
+      this.pos++;
+      const expr = this.parseExpression();
+      this.expect('SYMBOL', ')');
+      return expr;
     }
     if (token.value === '[') {
       return this.parseArray();
     }
-    if (token.value === '{' && this.peekAhead(1).type === 'IDENTIFIER') {
+    if (token.value === '{' && (this.peekAhead(1).type === 'IDENTIFIER' || this.peekAhead(1).value === '}')) {
       return this.parseObject();
     }
     if (token.type === 'IDENTIFIER') {
       const value = token.value;
       if (value === 'true' || value === 'false') {
         this.pos++;
-        return { type: 'boolean', value: value === 'true' };
+        return this.node(token, { type: 'boolean', value: value === 'true' });
       }
       
       this.pos++;
@@ -1004,34 +1477,59 @@ class PSLParser {
       if (this.peek().value === '.') {
         this.pos++;
         const property = this.expect('IDENTIFIER').value;
-        return { type: 'dotNotation', object: value, property };
+        return this.node(token, { type: 'dotNotation', object: value, property });
       }
       
       if (value.startsWith('#') || this.isColorName(value) || this.isPositionKeyword(value)) {
-        return { type: 'string', value };
+        return this.node(token, { type: 'string', value });
       }
       
-      return { type: 'variable', value };
+      return this.node(token, { type: 'variable', value });
+    }
+    
+    throw this.error(`Expected an expression, got ${this.describe(token)}`, token);
+  }
+  
+  // The tokens of a '${...}', read by the tokenizer up to its closing '}'
+  parseTemplateExpression(tokens) {
+    const parser = new PSLParser(tokens, this.source);
+    const expr = parser.parseExpression();
+    if (parser.peek().value !== '}' || parser.peekAhead(1).type !== 'EOF') {
+      throw parser.error(`Expected '}' after the expression, got ${parser.describe(parser.peek())}`);
+    }
+    return expr;
+  }
+
+  // The arguments of a call, once its '(' is consumed
+  parseArguments() {
+    const args = [];
+    
+    while (this.peek().value !== ')' && !this.isAtEnd()) {
+      args.push(this.parseExpression());
+      if (this.peek().value === ',') this.pos++;
+      else if (this.peek().value !== ')') throw this.error(`Expected ',' or ')', got ${this.describe(this.peek())}`);
     }
     
-    return { type: 'null', value: null };
+    this.expect('SYMBOL', ')');
+    return args;
   }
   
   parseArray() {
-    this.expect('SYMBOL', '[');
+    const start = this.expect('SYMBOL', '[');
     const elements = [];
     
     while (this.peek().value !== ']' && !this.isAtEnd()) {
       elements.push(this.parseExpression());
       if (this.peek().value === ',') this.pos++;
+      else if (this.peek().value !== ']') throw this.error(`Expected ',' or ']', got ${this.describe(this.peek())}`);
     }
     
     this.expect('SYMBOL', ']');
-    return { type: 'array', elements };
+    return this.node(start, { type: 'array', elements });
   }
   
   parseObject() {
-    this.expect('SYMBOL', '{');
+    const start = this.expect('SYMBOL', '{');
     const properties = {};
     
     while (this.peek().value !== '}' && !this.isAtEnd()) {
@@ -1044,7 +1542,7 @@ class PSLParser {
     }
     
     this.expect('SYMBOL', '}');
-    return { type: 'object', properties };
+    return this.node(start, { type: 'object', properties });
   }
 
   isColorName(value) {
@@ -1075,18 +1573,94 @@ class PSLParser {
   expect(type, value = null) {
     const token = this.peek();
     if (token.type !== type || (value && token.value !== value)) {
-      throw new Error(`Expected ${type}${value ? ` (${value})` : ''}, got ${token.type} (${token.value}) at position ${this.pos}`);
+      const got = token.type === 'EOF' ? 'end of file' : `${token.type} (${token.value})`;
+      throw this.error(`Expected ${type}${value ? ` (${value})` : ''}, got ${got}`, token);
     }
     this.pos++;
     return token;
   }
 
+  error(message, token = this.peek(), code = 'unexpected-token') {
+    return new PSLSyntaxError(createDiagnostic('error', code, message, this.range(token)), this.source);
+  }
+
+  warn(code, message, token = this.peek()) {
+    this.diagnostics.push(createDiagnostic('warning', code, message, this.range(token)));
+  }
+
+  describe(token) {
+    if (token.type === 'EOF') return 'end of file';
+    if (token.type === 'TEMPLATE') return 'a template literal';
+    return `'${token.value}'`;
+  }
+
+  // Drops a token the grammar has no use for; stray semicolons are harmless
+  skip() {
+    const token = this.peek();
+    if (token.value !== ';') this.warn('skipped-token', `Unexpected ${this.describe(token)} ignored`, token);
+    this.pos++;
+  }
+
+  // Records a syntax error and resumes at the next statement, so that one
+  // parse reports every error instead of the first one
+  recover(err, before) {
+    if (!(err instanceof PSLSyntaxError)) throw err;
+    // The enclosing blocks fail on the same token (often the end of file): report it once
+    const last = this.diagnostics[this.diagnostics.length - 1];
+    const { start } = err.diagnostic.range;
+    if (!last || last.range.start.line !== start.line || last.range.start.column !== start.column) {
+      this.diagnostics.push(err.diagnostic);
+    }
+    this.synchronize();
+    if (this.pos === before && !this.isAtEnd()) this.pos++;
+  }
+
+  // Skips to a statement boundary: a ';', the end of a block opened after the
+  // error, the '}' of the enclosing block, or a declaration on a later line
+  synchronize() {
+    const line = (this.tokens[this.pos - 1] || this.peek()).line;
+    let depth = 0;
+
+    while (!this.isAtEnd()) {
+      const token = this.peek();
+      if (token.type === 'SYMBOL' && token.value === '{') {
+        depth++;
+      } else if (token.type === 'SYMBOL' && token.value === '}') {
+        if (depth === 0) return;
+        this.pos++;
+        if (--depth === 0) return;
+        continue;
+      } else if (depth === 0 && token.type === 'SYMBOL' && token.value === ';') {
+        this.pos++;
+        return;
+      } else if (depth === 0 && ['IDENTIFIER', 'HASH', 'AT'].includes(token.type) && token.line > line) {
+        return;
+      }
+      this.pos++;
+    }
+  }
+
+  range(token) {
+    const start = { line: token.line || 0, column: token.column || 0 };
+    return { file: token.file || null, start, end: token.end || start };
+  }
+
+  loc(token) {
+    return { file: token.file || null, line: token.line || 0, column: token.column || 0 };
+  }
+
+  // Every AST node carries the position of the token it starts at
+  node(token, props) {
+    props.loc = this.loc(token);
+    return props;
+  }
+
   peek() {
-    return this.tokens[this.pos] || { type: 'EOF', value: '' };
+    return this.tokens[this.pos] || this.tokens[this.tokens.length - 1] || { type: 'EOF', value: '' };
   }
 
   peekAhead(n) {
-    return this.tokens[this.pos + n] || { type: 'EOF', value: '' };
+    return this.tokens[this.pos + n] || this.tokens[this.tokens.length - 1] || { type: 'EOF', value: '' };
   }
 
   isAtEnd() {
@@ -1096,32 +1670,218 @@ class PSLParser {
 
 // --- PSLCompiler ---
 
+// Variables set by the runtime, readable and bindable like the declared ones
+const runtimeState = ['loading', 'error', 'pending', 'updateAvailable'];
+
+// The async operations of a `store`, its name alone reads all its records
+const storeMethods = ['add', 'update', 'remove', 'get', 'query', 'clear'];
+
 class PSLCompiler {
-  constructor(ast) {
+  constructor(ast, options = {}) {
     this.ast = ast;
     this.elementId = 0;
+    this.componentStack = [];
+    this.loopScopes = [];
+    this.localScopes = [];
+    this.asyncFunctions = null;
+    this.offlineQueue = null;
+    this.elementNames = null;
+    this.baseManifest = options.manifest || defaultManifest;
   }
 
   compile() {
     return this.generateHTML();
   }
 
+  // Compile to the files of a deployable app, keyed by file name.
+  // options.readAsset(src) gives the content of a precached file, or null when it's not on disk
+  compileFiles(options = {}) {
+    const htmlFile = options.htmlFile || 'index.html';
+    const manifest = this.generateManifest();
+    const icons = (manifest.icons || []).map(icon => icon.src);
+    const assets = ['./', htmlFile, 'manifest.json', ...this.collectAssets(), ...icons, ...(options.assets || [])];
+    const html = this.generateHTML();
+
+    // A new build gets a new cache, so installed clients pick it up: a changed
+    // icon or image is a new build even when the program is the same
+    const hash = crypto.createHash('sha256')
+      .update(html)
+      .update(JSON.stringify(manifest))
+      .update(JSON.stringify(assets))
+      .update(JSON.stringify(this.ast.cacheRules));
+    for (const asset of assets) {
+      const content = options.readAsset ? options.readAsset(asset) : null;
+      if (content !== null && content !== undefined) hash.update(asset).update(content);
+    }
+    const version = hash.digest('hex').slice(0, 8);
+
+    return {
+      [htmlFile]: html,
+      'manifest.json': JSON.stringify(manifest, null, 2),
+      'sw.js': this.generateServiceWorker(assets, version)
+    };
+  }
+
+  // The base manifest overridden by the #key = value metadata of the program
+  generateManifest() {
+    const keys = {
+      name: 'name',
+      short_name: 'short_name',
+      description: 'description',
+      lang: 'lang',
+      theme: 'theme_color',
+      background: 'background_color',
+      display: 'display',
+      orientation: 'orientation',
+      start_url: 'start_url'
+    };
+    const manifest = JSON.parse(JSON.stringify(this.baseManifest));
+
+    for (const [key, member] of Object.entries(keys)) {
+      const value = this.getMetadata(key);
+      if (value !== null) manifest[member] = value;
+    }
+    if (this.getMetadata('name') !== null && this.getMetadata('short_name') === null) {
+      manifest.short_name = manifest.name;
+    }
+
+    return manifest;
+  }
+
+  // Local images used by the app, so the service worker can precache them
+  collectAssets() {
+    const assets = [];
+    const visit = (elements) => {
+      for (const el of elements || []) {
+        if (!el) continue;
+        if (el.props && el.props.src && el.props.src.type === 'string') {
+          const src = el.props.src.value;
+          if (!/^(https?:|data:|blob:|\/\/)/i.test(src)) assets.push(src);
+        }
+        visit(el.children);
+        visit(el.elements);
+        visit(el.elseChildren);
+      }
+    };
+
+    for (const page of Object.values(this.ast.pages)) visit(page.elements);
+    for (const component of Object.values(this.ast.components)) visit(component.elements);
+
+    return assets;
+  }
+
   generateHTML() {
     const css = this.generateCSS();
     const js = this.generateJavaScript();
+    const manifest = this.generateManifest();
+    const author = this.getMetadata('author');
+    const icons = manifest.icons || [];
+    const favicon = icons.find(icon => icon.sizes === '192x192' && !icon.purpose) || icons[0];
+    const appleIcon = icons.find(icon => icon.src.includes('apple-touch-icon'));
 
     return `<!DOCTYPE html>
-<html lang="fr">
+<html lang="${this.escapeHTML(manifest.lang || 'fr')}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
-    <meta name="theme-color" content="#2196F3">
-    <title>${this.getMetadata('name') || 'App'}</title>
+    <meta name="theme-color" content="${this.escapeHTML(manifest.theme_color || '#2196F3')}">
+    ${manifest.description ? `<meta name="description" content="${this.escapeHTML(manifest.description)}">` : ''}
+    ${author ? `<meta name="author" content="${this.escapeHTML(author)}">` : ''}
+    <meta name="mobile-web-app-capable" content="yes">
+    <meta name="apple-mobile-web-app-capable" content="yes">
+    <meta name="apple-mobile-web-app-title" content="${this.escapeHTML(manifest.short_name || manifest.name || 'App')}">
+    <link rel="manifest" href="manifest.json">
+    ${favicon ? `<link rel="icon" type="${this.escapeHTML(favicon.type || 'image/png')}" href="${this.escapeHTML(favicon.src)}">` : ''}
+    ${appleIcon ? `<link rel="apple-touch-icon" href="${this.escapeHTML(appleIcon.src)}">` : ''}
+    <title>${this.escapeHTML(manifest.name || 'App')}</title>
     <script>
         window.psl_vars = {};
         window.psl_elements = {};
         window.psl_watchers = [];
         window.psl_intervals = [];
+        window.psl_loops = [];
+        window.psl_scopes = {};
+        // Loops of the page render once the variables exist, the ones of a rendered item right away
+        window.psl_addLoop = function(loop) {
+            window.psl_loops.push(loop);
+            if (window.psl_ready) window.psl_renderLoop(loop);
+        };
+        // Nodes that depend on variables: \`update\` runs when one of them is assigned
+        window.psl_bindings = {};
+        window.psl_pending = [];
+        window.psl_bind = function(variables, node, update) {
+            const binding = { node: node, update: update };
+            variables.forEach(function(name) {
+                (window.psl_bindings[name] = window.psl_bindings[name] || []).push(binding);
+            });
+            if (window.psl_ready) update();
+            else window.psl_pending.push(binding);
+        };
+        // bind: keeps a form element and a variable in sync, both ways
+        window.psl_bindInput = function(el, name) {
+            const checkbox = el.type === 'checkbox';
+            const read = function() {
+                if (checkbox) return el.checked;
+                if (el.type === 'number' || el.type === 'range') return el.value === '' ? null : Number(el.value);
+                return el.value;
+            };
+            el.addEventListener(checkbox || el.tagName === 'SELECT' ? 'change' : 'input', function() {
+                window.psl_vars[name] = read();
+                window.psl_triggerWatchers(name);
+            });
+            window.psl_bind([name], el, function() {
+                const value = window.psl_vars[name];
+                if (checkbox) el.checked = !!value;
+                else if (read() !== value) el.value = value === undefined || value === null ? '' : value;
+            });
+        };
+        // get(), post()... and request { }: JSON in and out, \`loading\` is true while one
+        // is running and \`error\` holds the message of the last one that failed.
+        // With offline: queue the service worker keeps the ones sent offline, \`pending\` counts them
+        window.psl_vars.loading = false;
+        window.psl_vars.error = null;
+        window.psl_vars.pending = 0;
+        window.psl_running = 0;
+        window.psl_request = async function(options) {
+            const set = function(name, value) {
+                window.psl_vars[name] = value;
+                if (window.psl_triggerWatchers) window.psl_triggerWatchers(name);
+            };
+            window.psl_running++;
+            set('loading', true);
+            try {
+                const init = { method: options.method || 'GET', headers: Object.assign({ 'Accept': 'application/json' }, options.headers) };
+                // Only for the service worker, which removes it before sending: without
+                // one in control the header would go to the server, and fail a CORS preflight
+                if (options.offline === 'queue' && navigator.serviceWorker && navigator.serviceWorker.controller) {
+                    init.headers['X-PSL-Offline'] = 'queue';
+                }
+                if (options.body !== undefined && options.body !== null) {
+                    const raw = typeof options.body === 'string';
+                    init.body = raw ? options.body : JSON.stringify(options.body);
+                    if (!raw) init.headers['Content-Type'] = 'application/json';
+                }
+                const response = await fetch(options.url, init);
+                if (response.status === 202 && response.headers.get('X-PSL-Queued')) {
+                    set('error', null);
+                    return null;
+                }
+                const text = await response.text();
+                let data = text;
+                try { data = text ? JSON.parse(text) : null; } catch (e) {}
+                if (!response.ok) {
+                    throw Object.assign(new Error(response.status + ' ' + response.statusText), { status: response.status, data: data });
+                }
+                set('error', null);
+                return data;
+            } catch (err) {
+                set('error', err.message);
+                throw err;
+            } finally {
+                window.psl_running--;
+                set('loading', window.psl_running > 0);
+            }
+        };
     </script>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
@@ -1284,28 +2044,93 @@ class PSLCompiler {
             }
         };
         
-        if ('serviceWorker' in navigator && location.protocol === 'https:') {
-            navigator.serviceWorker.register(
-                'data:application/javascript;base64,${Buffer.from(this.generateServiceWorker()).toString('base64')}',
-                { scope: '/' }
-            ).catch(e => console.log('SW error:', e));
+        // Service worker and update flow
+        window.psl_waitingWorker = null;
+        window.reload = function() {
+            if (window.psl_waitingWorker) {
+                window.psl_waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            } else {
+                location.reload();
+            }
+        };
+        
+        if ('serviceWorker' in navigator && (location.protocol === 'https:' || ['localhost', '127.0.0.1'].includes(location.hostname))) {
+            const hadController = !!navigator.serviceWorker.controller;
+            
+            function notifyUpdate(worker) {
+                window.psl_waitingWorker = worker;
+                window.psl_vars.updateAvailable = true;
+                window.psl_triggerWatchers('updateAvailable');
+                window.dispatchEvent(new CustomEvent('psl-update'));
+            }
+            
+            navigator.serviceWorker.register('sw.js', { scope: './' }).then(function(registration) {
+                if (registration.waiting && hadController) {
+                    notifyUpdate(registration.waiting);
+                }
+                registration.addEventListener('updatefound', function() {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', function() {
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            notifyUpdate(worker);
+                        }
+                    });
+                });
+            }).catch(e => console.log('SW error:', e));
+            
+            ${this.usesOfflineQueue() ? `// The offline queue: \`pending\` follows it, onSynced runs when some were sent
+            navigator.serviceWorker.addEventListener('message', function(e) {
+                if (!e.data || e.data.type !== 'psl-queue') return;
+                window.psl_vars.pending = e.data.pending;
+                window.psl_triggerWatchers('pending');
+                if (e.data.synced) window.dispatchEvent(new CustomEvent('psl-synced', { detail: { count: e.data.synced } }));
+            });
+            function replayQueue() {
+                navigator.serviceWorker.ready.then(function(registration) {
+                    if (registration.active) registration.active.postMessage({ type: 'PSL_REPLAY' });
+                });
+            }
+            window.addEventListener('online', replayQueue);
+            replayQueue();
+            ` : ''}
+            // The new worker took over: load the new version
+            let refreshing = false;
+            navigator.serviceWorker.addEventListener('controllerchange', function() {
+                if (refreshing || !hadController) return;
+                refreshing = true;
+                location.reload();
+            });
         }
     </script>
 </body>
 </html>`;
   }
 
-  generateServiceWorker() {
-    const cacheName = 'psl-cache-v1';
+  generateServiceWorker(assets = ['./'], version = 'v1') {
+    const cacheName = `psl-cache-${version}`;
+    const queue = this.usesOfflineQueue();
+    const urlsToCache = [...new Set(assets)];
+    const routes = this.ast.cacheRules.map(rule => this.cacheRouteToJS(rule)).join(',\n');
     return `
 const CACHE_NAME = '${cacheName}';
-const urlsToCache = ['/'];
+const urlsToCache = ${JSON.stringify(urlsToCache)};
 
 self.addEventListener('install', e => {
   e.waitUntil(
-    caches.open(CACHE_NAME).then(cache => cache.addAll(urlsToCache))
+    caches.open(CACHE_NAME).then(cache => Promise.all(
+      urlsToCache.map(url => cache.add(url).catch(err => console.warn('SW cache error:', url, err)))
+    ))
   );
-  self.skipWaiting();
+});
+
+// Sent by window.reload() when the user accepts the update
+self.addEventListener('message', e => {
+  if (e.data && e.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }${queue ? `
+  if (e.data && e.data.type === 'PSL_REPLAY') {
+    e.waitUntil(replay());
+  }` : ''}
 });
 
 self.addEventListener('activate', e => {
@@ -1313,7 +2138,7 @@ self.addEventListener('activate', e => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName.startsWith('psl-cache-') && cacheName !== CACHE_NAME) {
             return caches.delete(cacheName);
           }
         })
@@ -1323,20 +2148,149 @@ self.addEventListener('activate', e => {
   self.clients.claim();
 });
 
-self.addEventListener('fetch', e => {
+// Routes declared in the cache { ... } block, first match wins
+const routes = [
+${routes}
+];
+
+function fetchAndCache(request) {
+  return fetch(request).then(response => {
+    if (response.ok || response.type === 'opaque') {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+  });
+}
+
+const strategies = {
+  'cache-first': request => caches.match(request).then(response => response || fetchAndCache(request)),
+  'network-first': request => fetchAndCache(request).catch(() => caches.match(request).then(response => {
+    if (!response) throw new Error('Not cached');
+    return response;
+  })),
+  'stale-while-revalidate': request => caches.match(request).then(response => {
+    const network = fetchAndCache(request);
+    if (response) {
+      network.catch(() => {});
+      return response;
+    }
+    return network;
+  }),
+  'network-only': request => fetch(request)
+};
+
+self.addEventListener('fetch', e => {${queue ? `
+  if (e.request.headers.get('X-PSL-Offline') === 'queue') {
+    const headers = new Headers(e.request.headers);
+    headers.delete('X-PSL-Offline');
+    const copy = e.request.clone();
+    e.respondWith(fetch(new Request(e.request, { headers })).catch(() => enqueue(copy)));
+    return;
+  }` : ''}
+  if (e.request.method !== 'GET') return;
+  
+  const url = new URL(e.request.url);
+  const route = routes.find(r => r.pattern.test(r.full ? url.href : url.pathname));
+  // Data asked by get() and request { } stays fresh, and is still there offline
+  const json = (e.request.headers.get('Accept') || '').includes('application/json');
+  const strategy = strategies[route ? route.strategy : json ? 'network-first' : 'cache-first'];
+  
   e.respondWith(
-    caches.match(e.request).then(response => {
-      return response || fetch(e.request).then(fetchResponse => {
-        return caches.open(CACHE_NAME).then(cache => {
-          cache.put(e.request, fetchResponse.clone());
-          return fetchResponse;
-        });
-      });
-    }).catch(() => new Response('Offline'))
+    strategy(e.request).catch(() => new Response('Offline', { status: 503 }))
+  );
+});${queue ? this.generateOfflineQueue() : ''}`;
+  }
+
+  // post(url, data) offline: queue: the requests that fail offline wait in IndexedDB,
+  // in order, until Background Sync or a page back online replays them
+  generateOfflineQueue() {
+    return `
+
+const QUEUE_TAG = 'psl-queue';
+
+function withQueue(mode, use) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open('psl-queue', 1);
+    open.onupgradeneeded = () => open.result.createObjectStore('requests', { keyPath: 'id', autoIncrement: true });
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction('requests', mode);
+      const request = use(tx.objectStore('requests'));
+      tx.oncomplete = () => { db.close(); resolve(request.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    };
+  });
+}
+
+// Every page gets the number of requests left, and how many were just sent
+function notifyQueue(synced) {
+  return withQueue('readonly', store => store.count()).then(pending =>
+    self.clients.matchAll({ includeUncontrolled: true }).then(clients =>
+      clients.forEach(client => client.postMessage({ type: 'psl-queue', pending, synced }))
+    )
   );
+}
+
+function enqueue(request) {
+  return request.text().then(body => withQueue('readwrite', store => store.add({
+    url: request.url,
+    method: request.method,
+    headers: [...request.headers].filter(([name]) => name !== 'x-psl-offline'),
+    body
+  }))).then(() => {
+    if (self.registration.sync) self.registration.sync.register(QUEUE_TAG).catch(() => {});
+    notifyQueue(0);
+    return new Response(JSON.stringify({ queued: true }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json', 'X-PSL-Queued': '1' }
+    });
+  });
+}
+
+// A request that reached the server leaves the queue, whatever the answer. The
+// first network failure stops the replay, the rest waits for the next one
+let replaying = null;
+function replay() {
+  if (!replaying) {
+    replaying = withQueue('readonly', store => store.getAll()).then(async entries => {
+      let synced = 0;
+      for (const entry of entries) {
+        try {
+          await fetch(entry.url, { method: entry.method, headers: entry.headers, body: entry.body || undefined });
+        } catch (err) {
+          break;
+        }
+        await withQueue('readwrite', store => store.delete(entry.id));
+        synced++;
+      }
+      await notifyQueue(synced);
+      return entries.length - synced;
+    }).finally(() => { replaying = null; });
+  }
+  return replaying;
+}
+
+self.addEventListener('sync', e => {
+  if (e.tag === QUEUE_TAG) {
+    e.waitUntil(replay().then(left => {
+      if (left > 0) throw new Error('Still offline');
+    }));
+  }
 });`;
   }
 
+  // "/api/*" matches the path, "https://cdn.com/*" the whole URL
+  cacheRouteToJS(rule) {
+    const full = rule.pattern.includes('://');
+    const source = '^' + rule.pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + '$';
+    return `  { pattern: new RegExp(${JSON.stringify(source)}), full: ${full}, strategy: '${rule.strategy}' }`;
+  }
+
   generateCSS() {
     let css = `
       body { background: #f5f5f5; font-family: Arial, sans-serif; margin: 0; padding: 0; }
@@ -1429,9 +2383,9 @@ self.addEventListener('fetch', e => {
   }
   
   generateSwipeHandler(handler) {
-    const actions = handler.actions.map(a => this.actionToJS(a, 'global')).join('');
+    const actions = this.actionsToJS(handler.actions, 'global');
     return `<script>
-      window.addEventListener('psl-swipe-${handler.direction}', function() {
+      window.addEventListener('psl-swipe-${handler.direction}', ${actions.includes('await') ? 'async ' : ''}function() {
         ${actions}
       });
     </script>`;
@@ -1459,9 +2413,15 @@ self.addEventListener('fetch', e => {
     if (el.type === 'ForLoop') {
       return this.generateForLoop(el, pageName, pagePadding);
     }
+    if (el.type === 'if') {
+      return this.generateConditional(el, pageName, pagePadding);
+    }
+    if (this.ast.components[el.name]) {
+      return this.generateComponent(el, pageName, pagePadding);
+    }
     
     const tag = this.getElementTag(el.name);
-    const id = `el_${this.elementId++}`;
+    const id = this.nextId('el');
     
     const paddingParts = pagePadding.split(' ');
     let topPadding, rightPadding, bottomPadding, leftPadding;
@@ -1539,9 +2499,17 @@ self.addEventListener('fetch', e => {
 
     let styles = [];
     let elementVarName = null;
+    let boundVariable = null;
     let dragData = null;
+    const bindings = [];
+    const bindable = ['src', 'placeholder', 'value', 'bg', 'color', 'font', 'opacity', 'shadow', 'border-color',
+      'size', 'radius', 'border-size', 'padding', 'margin', 'width', 'height', 'gap', 'show', 'hide'];
 
     for (const [key, value] of Object.entries(el.props)) {
+      if (bindable.includes(key) && this.isReactive(value)) {
+        bindings.push({ id, key, value });
+        continue;
+      }
       const strValue = this.valueToString(value);
       
       if (key === 'text') {
@@ -1555,6 +2523,8 @@ self.addEventListener('fetch', e => {
         html += ` placeholder="${strValue}"`;
       } else if (key === 'var') {
         elementVarName = strValue;
+      } else if (key === 'bind' && value.type === 'variable') {
+        boundVariable = value.value;
       } else if (key === 'draggable') {
         if (strValue === 'true' || strValue === '1') {
           html += ` draggable="true"`;
@@ -1698,69 +2668,46 @@ self.addEventListener('fetch', e => {
     html += `>`;
 
     if (el.props && el.props.text && tag !== 'img') {
-      if (el.props.text.type === 'variable') {
-        // Si c'est une variable directe, créer un span avec data-var
-        html += `<span class="psl-var" data-var="${el.props.text.value}"></span>`;
+      const text = el.props.text;
+      if (text.type === 'string') {
+        // Une chaîne peut contenir des {expressions}
+        html += this.interpolateTemplateString(text.value, bindings, text.loc);
+      } else if (text.type === 'template' && text.interpolated) {
+        // A component string whose {expressions} got the arguments
+        html += text.parts.map(part => typeof part === 'string'
+          ? this.interpolateTemplateString(part, bindings, text.loc)
+          : this.boundTextSpan(part, bindings)).join('');
+      } else if (this.readVariables(text).length > 0 || this.hasCall(text)) {
+        // Une expression qui lit des variables ou appelle une fonction est liée à un span
+        const spanId = this.nextId('txt');
+        bindings.push({ id: spanId, key: 'text', value: text });
+        html += `<span id="${spanId}" class="psl-text"></span>`;
       } else {
-        // Si c'est une chaîne, utiliser l'interpolation normale
-        const textValue = this.valueToString(el.props.text);
-        html += this.interpolateTemplateString(textValue);
+        html += this.valueToString(text);
       }
     }
 
     if (el.children && el.children.length > 0) {
       for (const child of el.children) {
-        if (child.type === 'if') {
-          const condJS = this.valueToJSString(child.condition);
-          const ifBlockId = `if_block_${this.elementId++}`;
-          const elseBlockId = child.elseChildren && child.elseChildren.length > 0 ? `else_block_${this.elementId++}` : null;
-
-          const ifChildrenHTML = child.children.map(c => this.generateElement(c, pageName, pagePadding)).join('');
-          html += `<div id="${ifBlockId}" class="psl-if-block" style="display: none; margin: 0;">\n${ifChildrenHTML}\n</div>`;
-
-          if (elseBlockId) {
-              const elseChildrenHTML = child.elseChildren.map(c => this.generateElement(c, pageName, pagePadding)).join('');
-              html += `<div id="${elseBlockId}" class="psl-else-block" style="display: none; margin: 0;">\n${elseChildrenHTML}\n</div>`;
-          }
-          
-          let scriptContent = `
-            (function() {
-              const ifEl = document.getElementById('${ifBlockId}');
-              ${elseBlockId ? `const elseEl = document.getElementById('${elseBlockId}');` : ''}
-              
-              function updateConditionalDisplay() {
-                  if (${condJS}) {
-                      if (ifEl) ifEl.style.display = 'block';
-                      ${elseBlockId ? `if (elseEl) elseEl.style.display = 'none';` : ''}
-                  } else {
-                      if (ifEl) ifEl.style.display = 'none';
-                      ${elseBlockId ? `if (elseEl) elseEl.style.display = 'block';` : ''}
-                  }
-              }
-              updateConditionalDisplay();
-            })();
-          `;
-
-          html += `<script>${scriptContent}</script>`;
-
-        } else if (child.type === 'ForLoop') {
-          html += this.generateForLoop(child, pageName, pagePadding);
-        } else {
-          html += this.generateElement(child, pageName, pagePadding);
-        }
+        html += this.generateElement(child, pageName, pagePadding);
       }
     }
 
     html += `</${tag}>${wrapperClose}`;
 
+    if (bindings.length > 0) {
+      html += `<script>${bindings.map(b => this.bindingToJS(b)).join('')}\n</script>`;
+    }
+
     let handlerCode = '';
     
-    if (el.handlers.length > 0 || elementVarName || dragData) {
+    if (el.handlers.length > 0 || elementVarName || boundVariable || dragData) {
       handlerCode = `
         (function() {
           const el = document.getElementById('${id}');
           if (!el) return;
           ${elementVarName ? `window.psl_elements.${elementVarName} = el;` : ''}
+          ${boundVariable ? `window.psl_bindInput(el, '${boundVariable}');` : ''}
           
           ${dragData ? `
           el.addEventListener('dragstart', function(e) {
@@ -1795,12 +2742,8 @@ self.addEventListener('fetch', e => {
             if (eventMap[eventName]) {
               eventName = eventMap[eventName];
             }
-            const actions = h.actions.map(a => {
-              if (a.type === 'while' || a.type === 'for' || a.type === 'if') {
-                return this.statementToJS(a);
-              }
-              return this.actionToJS(a, id);
-            }).join('');
+            // Handler bodies are actions, their if blocks included
+            const actions = this.actionsToJS(h.actions, id);
             const isAsync = actions.includes('await');
             
             // Drop reste spécial
@@ -1833,82 +2776,330 @@ self.addEventListener('fetch', e => {
     return html;
   }
   
+  // Both branches are rendered, psl_bind shows one of them each time a variable
+  // read by the condition changes
+  generateConditional(node, pageName, pagePadding) {
+    const condJS = this.syncValueToJS(node.condition);
+    const variables = this.expressionVariables(node.condition);
+    const ifBlockId = this.nextId('if_block');
+    const elseBlockId = node.elseChildren && node.elseChildren.length > 0 ? this.nextId('else_block') : null;
+
+    const ifChildrenHTML = node.children.map(c => this.generateElement(c, pageName, pagePadding)).join('');
+    let html = `<div id="${ifBlockId}" class="psl-if-block" style="display: none; margin: 0;">\n${ifChildrenHTML}\n</div>`;
+
+    if (elseBlockId) {
+      const elseChildrenHTML = node.elseChildren.map(c => this.generateElement(c, pageName, pagePadding)).join('');
+      html += `<div id="${elseBlockId}" class="psl-else-block" style="display: none; margin: 0;">\n${elseChildrenHTML}\n</div>`;
+    }
+
+    html += `<script>
+      (function() {
+        const ifEl = document.getElementById('${ifBlockId}');
+        ${elseBlockId ? `const elseEl = document.getElementById('${elseBlockId}');` : ''}
+        window.psl_bind(${JSON.stringify(variables)}, ifEl, function() {
+          const shown = !!(${condJS});
+          ifEl.style.display = shown ? 'block' : 'none';
+          ${elseBlockId ? `elseEl.style.display = shown ? 'none' : 'block';` : ''}
+        });
+      })();
+    </script>`;
+
+    return html;
+  }
+
+  // A component instance is a container holding the component body, with the
+  // parameters bound to its arguments and slot() replaced by its own children
+  generateComponent(el, pageName, pagePadding) {
+    const component = this.ast.components[el.name];
+    if (this.componentStack.includes(el.name)) {
+      const chain = [...this.componentStack, el.name].join(' -> ');
+      throw new PSLSyntaxError(createDiagnostic('error', 'recursive-component', `Component '${el.name}' contains itself: ${chain}`, locRange(el.loc)));
+    }
+
+    const bindings = new Map(component.params.map((param, i) => [param, el.args[i] || { type: 'null', value: null }]));
+    const elements = this.fillSlot(this.bindParams(component.elements, bindings), el.children);
+
+    // The first argument was taken as the text of the instance by the parser
+    const props = { ...el.props, component: { type: 'string', value: el.name } };
+    if (el.args.length > 0) delete props.text;
+
+    this.componentStack.push(el.name);
+    const html = this.generateElement({ ...el, name: 'container', args: [], props, children: elements }, pageName, pagePadding);
+    this.componentStack.pop();
+    return html;
+  }
+
+  // Copies `node`, replacing the parameters by the arguments, also inside "{param * 2}" strings
+  bindParams(node, bindings) {
+    if (Array.isArray(node)) return node.map(n => this.bindParams(n, bindings));
+    if (!node || typeof node !== 'object') return node;
+
+    if (node.type === 'variable' && bindings.has(node.value)) {
+      return bindings.get(node.value);
+    }
+    if (node.type === 'dotNotation' && bindings.has(node.object)) {
+      return { type: 'member', object: bindings.get(node.object), property: node.property, computed: false, loc: node.loc };
+    }
+    if (node.type === 'string') {
+      return this.bindStringParams(node, bindings);
+    }
+
+    const bound = {};
+    for (const [key, value] of Object.entries(node)) {
+      bound[key] = this.bindParams(value, bindings);
+    }
+    return bound;
+  }
+
+  // The interpolations reading a parameter are parsed and bound like any expression:
+  // the string becomes an interpolated template of text and expression parts
+  bindStringParams(node, bindings) {
+    const text = String(node.value);
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(/\{([^}]+)\}/g)) {
+      const value = this.parseInlineExpression(match[1], node.loc, match.index + 1);
+      if (!value || !this.readVariables(value).some(name => bindings.has(name))) continue;
+      parts.push(text.slice(last, match.index), this.bindParams(value, bindings));
+      last = match.index + match[0].length;
+    }
+    if (parts.length === 0) return node;
+    parts.push(text.slice(last));
+    return { type: 'template', interpolated: true, parts: parts.filter(part => part !== ''), loc: node.loc };
+  }
+
+  // Without a slot() the children of the instance go after the component body
+  fillSlot(elements, children) {
+    let filled = false;
+    const fill = (list) => list.flatMap(el => {
+      if (el.type === 'Element' && el.name === 'slot') {
+        filled = true;
+        return children;
+      }
+      for (const key of ['children', 'elseChildren', 'elements']) {
+        if (Array.isArray(el[key])) el = { ...el, [key]: fill(el[key]) };
+      }
+      return [el];
+    });
+
+    const result = fill(elements);
+    return filled ? result : [...result, ...children];
+  }
+
+  // A keyed list: the loop registers itself and psl_renderLoop renders it when
+  // the variables of its collection change, keeping the items whose key and value
+  // didn't. Each item gets a scope in window.psl_scopes holding the loop variables.
   generateForLoop(forLoop, pageName, pagePadding) {
-    const containerId = `for_loop_${this.elementId++}`;
-    const collectionJS = this.valueToJSString(forLoop.collection);
-    const varName = forLoop.varName;
-    
-    // Store elements as a global temporary variable
-    const tempVarName = `psl_loop_template_${containerId}`;
-    
-    // Pre-render the template with placeholder
-    const templateHTML = forLoop.elements.map(el => {
-      // Temporarily replace variable references
-      const modifiedEl = this.replaceLoopVariable(el, varName, '__LOOP_VAR__');
-      return this.generateElement(modifiedEl, pageName, pagePadding);
-    }).join('');
-    
-    // Escape the HTML for safe embedding in JS
-    const escapedHTML = templateHTML
-      .replace(/\\/g, '\\\\')
-      .replace(/`/g, '\\`')
-      .replace(/\$/g, '\\$');
+    const containerId = this.nextId('for_loop');
+    const collectionJS = this.syncValueToJS(forLoop.collection);
+    // for (tag in t.tags) follows the collection of the loop of `t` as well
+    const read = this.readVariables(forLoop.collection);
+    const variables = [...new Set([
+      ...this.expressionVariables(forLoop.collection),
+      ...this.loopScopes.filter(outer => outer.vars.some(name => read.includes(name))).flatMap(outer => outer.variables)
+    ])];
+    const parentJS = this.loopScopes.length ? `'${this.loopMarker('raw', 'scope.$id')}'` : 'null';
+
+    const loop = { id: this.elementId++, vars: [forLoop.varName, forLoop.indexName].filter(Boolean), variables };
+    this.loopScopes.push(loop);
+    let templateHTML;
+    try {
+      templateHTML = forLoop.elements.map(el => this.generateElement(el, pageName, pagePadding)).join('');
+    } finally {
+      this.loopScopes.pop();
+    }
 
     return `
       <div id="${containerId}" class="psl-for-loop"></div>
       <script>
-        (function() {
-          const container = document.getElementById('${containerId}');
-          const collection = ${collectionJS};
-          const templateHTML = \`${escapedHTML}\`;
-          
-          if (Array.isArray(collection)) {
-            collection.forEach(function(loopItem) {
-              let html = templateHTML.replace(/__LOOP_VAR__/g, loopItem);
-              container.insertAdjacentHTML('beforeend', html);
-            });
-          } else if (typeof collection === 'object') {
-            Object.values(collection).forEach(function(loopItem) {
-              let html = templateHTML.replace(/__LOOP_VAR__/g, loopItem);
-              container.insertAdjacentHTML('beforeend', html);
-            });
-          }
-        })();
+        window.psl_addLoop({
+          container: document.getElementById('${containerId}'),
+          parent: ${parentJS},
+          item: '${forLoop.varName}',
+          index: ${forLoop.indexName ? `'${forLoop.indexName}'` : 'null'},
+          variables: ${JSON.stringify(variables)},
+          collection: function() { return ${collectionJS}; },
+          render: function(scope) { return \`${this.templateLiteral(templateHTML, loop.id)}\`; }
+        });
       </script>
     `;
   }
 
-  replaceLoopVariable(el, varName, placeholder) {
-    const newEl = JSON.parse(JSON.stringify(el));
-    
-    if (newEl.props) {
-      for (const [key, value] of Object.entries(newEl.props)) {
-        if (value && value.type === 'variable' && value.value === varName) {
-          newEl.props[key] = { type: 'string', value: placeholder };
-        } else if (value && value.type === 'string' && String(value.value).includes(`{${varName}}`)) {
-          newEl.props[key] = { type: 'string', value: String(value.value).replace(`{${varName}}`, placeholder) };
-        }
-      }
-    }
-    
-    if (Array.isArray(newEl.children) && newEl.children.length > 0) {
-      newEl.children = newEl.children.map(child => this.replaceLoopVariable(child, varName, placeholder));
+  // Inside a loop every item gets its own copy of the ids
+  nextId(prefix) {
+    const id = `${prefix}_${this.elementId++}`;
+    return this.loopScopes.length ? `${id}_${this.loopMarker('raw', 'scope.$id')}` : id;
+  }
+
+  isLoopVariable(name) {
+    return this.loopScopes.some(loop => loop.vars.includes(name));
+  }
+
+  // The state variables of the collection the innermost loop declaring `name` goes through
+  loopCollectionVariables(name) {
+    const loop = [...this.loopScopes].reverse().find(scope => scope.vars.includes(name));
+    return loop ? loop.variables : [];
+  }
+
+  // A placeholder for a value of the item, resolved when the innermost loop turns
+  // its template into the body of a template literal: escaped 'html' or 'raw' JS
+  loopMarker(kind, expression) {
+    const loop = this.loopScopes[this.loopScopes.length - 1];
+    return `\u0001${loop.id}:${kind}:${expression}\u0002`;
+  }
+
+  templateLiteral(html, loopId) {
+    const escape = text => text
+      .replace(/\\/g, '\\\\')
+      .replace(/`/g, '\\`')
+      .replace(/\$\{/g, '\\${')
+      .replace(/<\/script/gi, '<\\/script');
+    const markers = new RegExp(`\u0001${loopId}:(html|raw):([^\u0002]*)\u0002`, 'g');
+    let literal = '';
+    let last = 0;
+    for (const match of html.matchAll(markers)) {
+      literal += escape(html.slice(last, match.index));
+      literal += match[1] === 'html' ? `\${window.psl_escape(${match[2]})}` : `\${${match[2]}}`;
+      last = match.index + match[0].length;
+    }
+    return literal + escape(html.slice(last));
+  }
+
+  // `{item}` and `{item.field}` in the strings of a loop body
+  bindLoopText(text) {
+    return String(text).replace(/\{([^}]+)\}/g, (match, name) => {
+      const path = name.trim();
+      return this.isLoopVariable(path.split('.')[0]) ? this.loopMarker('html', `scope.${path}`) : match;
+    });
+  }
+
+  // The names an expression reads, loop variables included. A call of a user
+  // function reads what the function reads, so `{total()}` follows `items`
+  readVariables(value, calling = new Set()) {
+    const names = new Set();
+    const call = (name) => {
+      if (!this.ast.functions[name] || calling.has(name)) return;
+      this.functionReads(name, calling).forEach(read => names.add(read));
+    };
+    const visit = (node) => {
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (!node || typeof node !== 'object') return;
+      if (node.type === 'variable') names.add(node.value);
+      else if (node.type === 'dotNotation') names.add(node.object);
+      else if (node.type === 'call' && node.callee.type === 'variable') {
+        call(node.callee.value);
+        visit(node.args);
+      } else if (node.type === 'functionCall') {
+        call(node.name);
+        visit(node.args);
+      } else Object.values(node).forEach(visit);
+    };
+    visit(value);
+    return [...names];
+  }
+
+  // The outer names a function reads: not its parameters, lets and loop variables
+  functionReads(name, calling) {
+    const func = this.ast.functions[name];
+    const locals = new Set(func.params);
+    const declare = (node) => {
+      if (Array.isArray(node)) return node.forEach(declare);
+      if (!node || typeof node !== 'object') return;
+      if (node.type === 'let' || node.type === 'for') locals.add(node.varName);
+      Object.values(node).forEach(declare);
+    };
+    declare(func.body);
+    const reads = this.readVariables(func.body, new Set([...calling, name]));
+    return reads.filter(read => !locals.has(read));
+  }
+
+  // The state variables an expression reads
+  expressionVariables(value) {
+    return this.readVariables(value).filter(name => !this.isLoopVariable(name));
+  }
+
+  // Each "{expression}" becomes a span bound to the variables the expression reads
+  interpolateTemplateString(text, bindings, loc = null) {
+    return String(text).replace(/\{([^}]+)\}/g, (match, source, index) => {
+      const value = this.parseInlineExpression(source, loc, index + 1);
+      return value ? this.boundTextSpan(value, bindings) : match;
+    });
+  }
+
+  boundTextSpan(value, bindings) {
+    const id = this.nextId('txt');
+    bindings.push({ id, key: 'text', value });
+    return `<span id="${id}" class="psl-text"></span>`;
+  }
+
+  // `loc` is the one of the string holding the expression, `offset` its position in the
+  // text: the nodes get locations in the source file, for the diagnostics
+  parseInlineExpression(source, loc = null, offset = 0) {
+    const tokenizer = new PSLTokenizer(source);
+    const parser = new PSLParser(tokenizer.tokenize());
+    let value;
+    try {
+      value = parser.parseExpression();
+      if (!parser.isAtEnd() || tokenizer.diagnostics.length > 0) return null;
+    } catch (err) {
+      if (err instanceof PSLSyntaxError) return null;
+      throw err;
     }
-    
-    return newEl;
+    if (!loc) return value;
+    const relocate = (node) => {
+      if (Array.isArray(node)) return node.forEach(relocate);
+      if (!node || typeof node !== 'object') return;
+      if (node.loc && typeof node.loc.line === 'number') {
+        const column = node.loc.line === 1 ? loc.column + 1 + offset + node.loc.column - 1 : node.loc.column;
+        node.loc = { file: loc.file, line: loc.line + node.loc.line - 1, column };
+      }
+      Object.entries(node).forEach(([key, child]) => { if (key !== 'loc') relocate(child); });
+    };
+    relocate(value);
+    return value;
   }
 
-  interpolateTemplateString(text) {
-    return String(text).replace(/\{([^}]+)\}/g, (match, varName) => {
-      return `<span class="psl-var" data-var="${varName.trim()}"></span>`;
-    });
+
+  // A property follows the state when it reads a state or loop variable, the
+  // other bare words (flex, row, bottom...) are keywords. Calls are evaluated at runtime,
+  // again when a variable the called function reads changes
+  isReactive(value) {
+    return this.hasCall(value) || this.readVariables(value).some(name =>
+      this.isStateName(name) || this.isLoopVariable(name)
+    );
+  }
+
+  hasCall(value) {
+    if (Array.isArray(value)) return value.some(v => this.hasCall(v));
+    if (!value || typeof value !== 'object') return false;
+    return value.type === 'call' || Object.values(value).some(v => this.hasCall(v));
+  }
+
+  bindingToJS(binding) {
+    return `
+      (function() {
+        const node = document.getElementById('${binding.id}');
+        window.psl_bind(${JSON.stringify(this.expressionVariables(binding.value))}, node, function() {
+          window.psl_setProp(node, '${binding.key}', ${this.syncValueToJS(binding.value)});
+        });
+      })();`;
   }
 
   actionToJS(action, elementId) {
+    if (action.type === 'let') {
+      this.localScopes[this.localScopes.length - 1].push(action.varName);
+      return `let ${action.varName} = ${this.valueToJSString(action.value)};\n`;
+    }
     if (action.type === 'assignment') {
       const key = action.key;
       const value = this.valueToJSString(action.value);
       
+      if (this.isLocal(key)) {
+        return `${key} = ${value};\n`;
+      }
+      if (key.includes('.') && !this.isElementName(key.split('.')[0]) && !(this.ast.pages && this.ast.pages[key.split('.')[0]])) {
+        return this.memberAssignmentToJS(key, value);
+      }
       if (key.includes('.')) {
         const [elemName, prop] = key.split('.');
         
@@ -1937,41 +3128,7 @@ self.addEventListener('fetch', e => {
         
         return `
           if (window.psl_elements && window.psl_elements['${elemName}']) {
-            const el = window.psl_elements['${elemName}'];
-            const propValue = ${value};
-            if ('${prop}' === 'text') {
-              el.textContent = propValue;
-            } else if ('${prop}' === 'value') {
-              el.value = propValue;
-            } else if ('${prop}' === 'src') {
-              el.src = propValue;
-            } else if ('${prop}' === 'bg') {
-              el.style.backgroundColor = propValue;
-            } else if ('${prop}' === 'color') {
-              el.style.color = propValue;
-            } else if ('${prop}' === 'size') {
-              el.style.fontSize = propValue + 'px';
-            } else if ('${prop}' === 'hide') {
-              el.style.display = (propValue === true || propValue === 1 || propValue === '1') ? 'none' : 'block';
-            } else if ('${prop}' === 'show') {
-              el.style.display = (propValue === false || propValue === 0 || propValue === '0') ? 'none' : 'block';
-            } else if ('${prop}' === 'radius') {
-              el.style.borderRadius = propValue + 'px';
-            } else if ('${prop}' === 'border-size') {
-              el.style.borderWidth = propValue + 'px';
-            } else if ('${prop}' === 'border-color') {
-              el.style.borderColor = propValue;
-            } else if ('${prop}' === 'padding') {
-              el.style.padding = propValue + 'px';
-            } else if ('${prop}' === 'margin') {
-              el.style.margin = propValue + 'px';
-            } else if ('${prop}' === 'width') {
-              el.style.width = propValue + 'px';
-            } else if ('${prop}' === 'height') {
-              el.style.height = propValue + 'px';
-            } else {
-              el.setAttribute('data-' + '${prop}', propValue);
-            }
+            window.psl_setProp(window.psl_elements['${elemName}'], '${prop}', ${value});
             window.psl_triggerWatchers('${elemName}');
           }
         `;
@@ -1985,6 +3142,9 @@ self.addEventListener('fetch', e => {
     else if (action.type === 'functionCall') {
         const args = action.args.map(a => this.valueToJSString(a)).join(', ');
         
+        if (this.isLocal(action.name)) {
+          return `${action.name}(${args});\n`;
+        }
         if (action.name === 'log') {
           return `console.log(${args});\n`;
         }
@@ -2001,15 +3161,18 @@ self.addEventListener('fetch', e => {
           return `load(${args});\n`;
         }
         
-        return `window.${action.name}(${args});\n`;
+        return `${this.callToJS(action.name, action.args)};\n`;
+    }
+    else if (action.type === 'request') {
+        return this.requestToJS(action, (body, names) => this.actionsToJS(body, elementId, names));
     }
     else if (action.type === 'if') {
         const cond = this.valueToJSString(action.condition); 
-        const ifBody = action.body.map(s => this.actionToJS(s, elementId)).join('');
+        const ifBody = this.actionsToJS(action.body, elementId);
         let js = `if (${cond}) { ${ifBody} }`;
 
         if (action.elseBody && action.elseBody.length > 0) {
-            const elseBody = action.elseBody.map(s => this.actionToJS(s, elementId)).join('');
+            const elseBody = this.actionsToJS(action.elseBody, elementId);
             js += ` else { ${elseBody} }`;
         }
         
@@ -2017,9 +3180,17 @@ self.addEventListener('fetch', e => {
     }
     else if (action.type === 'while') {
         const cond = this.valueToJSString(action.condition);
-        const body = action.body.map(s => this.actionToJS(s, elementId)).join('');
+        const body = this.actionsToJS(action.body, elementId);
         return `while (${cond}) { ${body} }\n`;
     }
+    else if (action.type === 'expression') {
+        return this.callStatementToJS(action.value);
+    }
+    else if (action.type === 'pageMethodCall' && !(this.ast.pages && this.ast.pages[action.pageName])) {
+        // todos.add(item), field.focus()... are calls on values, not on pages
+        const callee = { type: 'dotNotation', object: action.pageName, property: action.methodName, loc: action.loc };
+        return this.callStatementToJS({ type: 'call', callee, args: action.args, loc: action.loc });
+    }
     else if (action.type === 'pageMethodCall') {
         const pageName = action.pageName;
         const methodName = action.methodName;
@@ -2033,7 +3204,7 @@ self.addEventListener('fetch', e => {
     }
     else if (action.type === 'wait') {
         const duration = this.valueToJSString(action.duration);
-        const body = action.body.map(s => this.actionToJS(s, elementId)).join('');
+        const body = this.actionsToJS(action.body, elementId);
         return `await new Promise(resolve => setTimeout(resolve, ${duration})); ${body}`;
     }
 
@@ -2041,40 +3212,98 @@ self.addEventListener('fetch', e => {
   }
 
   generateJavaScript() {
-    let js = `// Global variables and reactive system\n`;
-    
-    // Initialize variables
-    for (const [name, value] of Object.entries(this.ast.globalVariables)) {
-      js += `window.psl_vars.${name} = ${this.valueToJSString(value)};\n`;
-    }
-    
-    // Watchers system
+    let js = '';
+
+    // Watchers system, first so the functions and initial values can change variables
     js += `
+// Applies a PSL property to an element, like the generated styles do
+window.psl_setProp = function(el, prop, value) {
+  const styles = { bg: 'backgroundColor', color: 'color', font: 'fontFamily', opacity: 'opacity', shadow: 'boxShadow', 'border-color': 'borderColor' };
+  const sizes = { size: 'fontSize', radius: 'borderRadius', 'border-size': 'borderWidth', padding: 'padding', margin: 'margin', width: 'width', height: 'height', gap: 'gap' };
+  const px = function(v) { return typeof v === 'number' || /^\\d+(\\.\\d+)?$/.test(v) ? v + 'px' : v; };
+
+  if (prop === 'text') {
+    el.textContent = value === undefined || value === null ? '' : value;
+  } else if (prop === 'value' || prop === 'src' || prop === 'placeholder') {
+    el[prop] = value;
+  } else if (prop === 'hide') {
+    el.style.display = (value === true || value === 1 || value === '1') ? 'none' : '';
+  } else if (prop === 'show') {
+    el.style.display = (value === false || value === 0 || value === '0') ? 'none' : '';
+  } else if (prop === 'bg' && String(value).includes('gradient')) {
+    el.style.background = value;
+  } else if (styles[prop]) {
+    el.style[styles[prop]] = value;
+  } else if (sizes[prop]) {
+    el.style[sizes[prop]] = px(value);
+    if (prop === 'border-size') el.style.borderStyle = 'solid';
+  } else {
+    el.setAttribute('data-' + prop, value);
+  }
+};
+
 window.psl_triggerWatchers = function(varName) {
   window.psl_watchers.forEach(function(watcher) {
     if (watcher.variable === varName) {
       watcher.callback();
     }
   });
-  
-  // Update template strings
-  document.querySelectorAll('.psl-var').forEach(function(el) {
-    const varName = el.getAttribute('data-var');
-    if (window.psl_vars[varName] !== undefined) {
-      el.textContent = window.psl_vars[varName];
-    }
+
+  // Before the page is ready, the bindings and loops wait for their first render
+  if (!window.psl_ready) return;
+
+  // Bindings of removed nodes are dropped, the others are updated
+  if (window.psl_bindings[varName]) {
+    window.psl_bindings[varName] = window.psl_bindings[varName].filter(function(binding) {
+      return document.contains(binding.node);
+    });
+    window.psl_bindings[varName].forEach(function(binding) { binding.update(); });
+  }
+
+  // Loops follow their collection, the ones of removed items are dropped
+  // A nested loop whose item was just rendered again is gone with it
+  window.psl_loops.slice().forEach(function(loop) {
+    if (loop.variables.includes(varName) && document.contains(loop.container)) window.psl_renderLoop(loop);
+  });
+  window.psl_loops = window.psl_loops.filter(function(loop) {
+    if (document.contains(loop.container)) return true;
+    if (loop.rendered) loop.rendered.forEach(function(entry) { delete window.psl_scopes[entry.scope.$id]; });
+    return false;
   });
 };
 `;
 
+    // Functions, before the variables so the initial values can call them
+    for (const [funcName, func] of Object.entries(this.ast.functions)) {
+      const params = func.params.join(', ');
+      const body = this.statementsToJS(func.body, func.params);
+      js += `window.${funcName} = ${this.isAsyncFunction(funcName) ? 'async ' : ''}function(${params}) { ${body} };\n`;
+    }
+
+    js += `// Global variables and reactive system\n`;
+    js += this.generateStores();
+    
+    // Initialize variables
+    for (const [name, value] of Object.entries(this.ast.globalVariables)) {
+      const valueJS = this.valueToJSString(value);
+      if (this.awaits(value)) {
+        // items = get("/api/items") starts empty, it's set once the request is done
+        js += `window.psl_vars.${name} = null;\n`;
+        js += `(async function() { window.psl_vars.${name} = ${valueJS}; window.psl_triggerWatchers('${name}'); })();\n`;
+      } else {
+        js += `window.psl_vars.${name} = ${valueJS};\n`;
+      }
+    }
+    
+
     // Setup watchers
     for (const watcher of this.ast.watchers) {
       const varName = this.valueToString(watcher.variable);
-      const actions = watcher.actions.map(a => this.actionToJS(a, 'global')).join('');
+      const actions = this.actionsToJS(watcher.actions, 'global');
       js += `
 window.psl_watchers.push({
   variable: '${varName}',
-  callback: function() {
+  callback: ${actions.includes('await') ? 'async ' : ''}function() {
     ${actions}
   }
 });
@@ -2089,9 +3318,9 @@ document.addEventListener('DOMContentLoaded', function() {
 `;
       for (const interval of this.ast.intervals) {
         const duration = this.valueToJSString(interval.duration);
-        const actions = interval.actions.map(a => this.actionToJS(a, 'global')).join('');
+        const actions = this.actionsToJS(interval.actions, 'global');
         js += `
-  window.psl_intervals.push(setInterval(function() {
+  window.psl_intervals.push(setInterval(${actions.includes('await') ? 'async ' : ''}function() {
     ${actions}
   }, ${duration}));
 `;
@@ -2101,18 +3330,10 @@ document.addEventListener('DOMContentLoaded', function() {
 `;
     }
 
-    // Functions
-    for (const [funcName, func] of Object.entries(this.ast.functions)) {
-      const params = func.params.join(', ');
-      const body = func.body.map(stmt => this.statementToJS(stmt)).join('');
-      js += `window.${funcName} = function(${params}) { ${body} };\n`;
-    }
-
     // Global statements
     if (this.ast.statements && this.ast.statements.length > 0) {
-      for (const stmt of this.ast.statements) {
-        js += this.statementToJS(stmt);
-      }
+      const statements = this.statementsToJS(this.ast.statements);
+      js += statements.includes('await') ? `(async function() { ${statements} })();\n` : statements;
     }
     
     // Key handlers
@@ -2123,22 +3344,119 @@ document.addEventListener('keydown', function(e) {
 `;
         for (const handler of this.ast.keyHandlers) {
             const keyJS = this.valueToJSString(handler.key);
-            const actions = handler.actions.map(a => this.actionToJS(a, 'global')).join('');
+            const actions = this.actionsToJS(handler.actions, 'global');
             js += `
   if (currentKey === ${keyJS}.toLowerCase()) {
-    e.preventDefault(); 
-    ${actions}
+    e.preventDefault();
+    ${actions.includes('await') ? `(async function() { ${actions} })();` : actions}
   }
 `;
         }
         js += `});\n`;
     }
     
-    // Helper for rendering elements in for loops
+    // Update handlers
+    for (const handler of this.ast.updateHandlers) {
+      const actions = this.actionsToJS(handler.actions, 'global');
+      js += `
+window.addEventListener('psl-update', ${actions.includes('await') ? 'async ' : ''}function() {
+  ${actions}
+});
+`;
+    }
+    
+    // Synced handlers, \`synced\` is the number of queued requests just sent
+    for (const handler of this.ast.syncedHandlers) {
+      const actions = this.actionsToJS(handler.actions, 'global', ['synced']);
+      js += `
+window.addEventListener('psl-synced', ${actions.includes('await') ? 'async ' : ''}function(e) {
+  const synced = e.detail.count;
+  ${actions}
+});
+`;
+    }
+    
+    // Keyed rendering of the for loops
     js += `
-window.psl_renderElement = function(el, pageName, pagePadding, loopVar) {
-  // This is a placeholder - in a real implementation, this would recreate the element
-  return '<div>Loop item</div>';
+window.psl_escape = function(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+window.psl_scopeId = 0;
+
+// The content of an object item, to tell it was changed in place (t.done: true, t.tags.push())
+window.psl_stamp = function(item) {
+  if (!item || typeof item !== 'object') return null;
+  try {
+    return JSON.stringify(item);
+  } catch (e) {
+    return null;
+  }
+};
+
+window.psl_loopKey = function(item, index) {
+  if (item && typeof item === 'object') return 'o:' + (item.id !== undefined ? item.id : index);
+  return typeof item + ':' + item;
+};
+
+window.psl_renderItem = function(loop, item, index) {
+  const scope = Object.create(loop.parent ? window.psl_scopes[loop.parent] || null : null);
+  scope.$id = 's' + (++window.psl_scopeId);
+  scope[loop.item] = item;
+  if (loop.index) scope[loop.index] = index;
+  window.psl_scopes[scope.$id] = scope;
+
+  const template = document.createElement('template');
+  template.innerHTML = loop.render(scope);
+  return { item: item, index: index, stamp: window.psl_stamp(item), scope: scope, nodes: Array.from(template.content.childNodes) };
+};
+
+window.psl_renderLoop = function(loop) {
+  const collection = loop.collection();
+  const items = Array.isArray(collection) ? collection
+    : (collection && typeof collection === 'object') ? Object.values(collection) : [];
+  const previous = loop.rendered || new Map();
+  const rendered = new Map();
+  const created = [];
+
+  items.forEach(function(item, index) {
+    let key = window.psl_loopKey(item, index);
+    if (rendered.has(key)) key += '#' + index;
+    let entry = previous.get(key);
+    if (entry && entry.item === item && entry.stamp === window.psl_stamp(item) && (!loop.index || entry.index === index)) {
+      previous.delete(key);
+    } else {
+      entry = window.psl_renderItem(loop, item, index);
+      created.push(entry);
+    }
+    rendered.set(key, entry);
+    entry.nodes.forEach(function(node) { loop.container.appendChild(node); });
+  });
+
+  previous.forEach(function(entry) {
+    entry.nodes.forEach(function(node) { node.remove(); });
+    delete window.psl_scopes[entry.scope.$id];
+  });
+  loop.rendered = rendered;
+
+  // Scripts inserted as HTML don't run: replace them once the items are in the page
+  created.forEach(function(entry) {
+    entry.nodes.forEach(function(node) {
+      if (node.nodeType !== 1) return;
+      const scripts = node.tagName === 'SCRIPT' ? [node] : Array.from(node.querySelectorAll('script'));
+      scripts.forEach(function(old) {
+        const script = document.createElement('script');
+        script.textContent = old.textContent;
+        old.replaceWith(script);
+        if (old === node) entry.nodes[entry.nodes.indexOf(node)] = script;
+      });
+    });
+  });
 };
 `;
 
@@ -2164,16 +3482,12 @@ window.psl_pages.${pageName} = {
 };`;
     }
     
-    // Initialize template strings
+    // Render the loops now that the variables exist, then initialize template strings
     js += `
-setTimeout(function() {
-  document.querySelectorAll('.psl-var').forEach(function(el) {
-    const varName = el.getAttribute('data-var');
-    if (window.psl_vars[varName] !== undefined) {
-      el.textContent = window.psl_vars[varName];
-    }
-  });
-}, 0);
+window.psl_ready = true;
+window.psl_pending.forEach(function(binding) { binding.update(); });
+window.psl_pending = [];
+window.psl_loops.slice().forEach(window.psl_renderLoop);
 `;
 
     return js;
@@ -2181,14 +3495,33 @@ setTimeout(function() {
 
   statementToJS(stmt) {
     if (stmt.type === 'assignment') {
+      if (stmt.varName.includes('.') && !this.isElementName(stmt.varName.split('.')[0])) {
+          return this.memberAssignmentToJS(stmt.varName, this.valueToJSString(stmt.value));
+      }
       if (stmt.varName.includes('.')) {
           return `// Element property assignment in statement context ignored\n`;
       }
-      return `window.psl_vars.${stmt.varName} = ${this.valueToJSString(stmt.value)};\n`;
+      if (this.isLocal(stmt.varName)) {
+        return `${stmt.varName} = ${this.valueToJSString(stmt.value)};\n`;
+      }
+      return `window.psl_vars.${stmt.varName} = ${this.valueToJSString(stmt.value)};\nwindow.psl_triggerWatchers('${stmt.varName}');\n`;
+    }
+    if (stmt.type === 'let') {
+      this.localScopes[this.localScopes.length - 1].push(stmt.varName);
+      return `let ${stmt.varName} = ${this.valueToJSString(stmt.value)};\n`;
+    }
+    if (stmt.type === 'return') {
+      return stmt.value ? `return ${this.valueToJSString(stmt.value)};\n` : `return;\n`;
+    }
+    if (stmt.type === 'expression') {
+      return this.callStatementToJS(stmt.value);
     }
     if (stmt.type === 'functionCall') {
       const args = stmt.args.map(a => this.valueToJSString(a)).join(', ');
       
+      if (this.isLocal(stmt.name)) {
+        return `${stmt.name}(${args});\n`;
+      }
       if (stmt.name === 'log') {
         return `console.log(${args});\n`;
       }
@@ -2196,15 +3529,18 @@ setTimeout(function() {
         return `alert(${args});\n`;
       }
       
-      return `window.${stmt.name}(${args});\n`;
+      return `${this.callToJS(stmt.name, stmt.args)};\n`;
+    }
+    if (stmt.type === 'request') {
+      return this.requestToJS(stmt, (body, names) => this.statementsToJS(body, names));
     }
     if (stmt.type === 'if') {
       const cond = this.valueToJSString(stmt.condition); 
-      const body = stmt.body.map(s => this.statementToJS(s)).join('');
+      const body = this.statementsToJS(stmt.body);
       let js = `if (${cond}) { ${body} }`;
 
       if (stmt.elseBody && stmt.elseBody.length > 0) {
-          const elseBody = stmt.elseBody.map(s => this.statementToJS(s)).join('');
+          const elseBody = this.statementsToJS(stmt.elseBody);
           js += ` else { ${elseBody} }`;
       }
       
@@ -2213,12 +3549,12 @@ setTimeout(function() {
     if (stmt.type === 'for') {
       const varName = stmt.varName;
       const coll = this.valueToJSString(stmt.collection);
-      const body = stmt.body.map(s => this.statementToJS(s)).join('');
+      const body = this.statementsToJS(stmt.body, [varName]);
       return `for (let ${varName} of ${coll}) { ${body} }\n`;
     }
     if (stmt.type === 'while') {
       const cond = this.valueToJSString(stmt.condition);
-      const body = stmt.body.map(s => this.statementToJS(s)).join('');
+      const body = this.statementsToJS(stmt.body);
       return `while (${cond}) { ${body} }\n`;
     }
     return '';
@@ -2226,10 +3562,19 @@ setTimeout(function() {
 
   valueToString(value) {
     if (!value) return '';
-    if (value.type === 'string') return value.value;
+    if (value.type === 'string') return this.loopScopes.length ? this.bindLoopText(value.value) : value.value;
     if (value.type === 'number') return String(value.value);
     if (value.type === 'boolean') return value.value ? 'true' : 'false';
+    if (value.type === 'variable' && this.isLoopVariable(value.value)) {
+      return this.loopMarker('html', `scope.${value.value}`);
+    }
+    if (value.type === 'dotNotation' && this.isLoopVariable(value.object)) {
+      return this.loopMarker('html', `scope.${value.object}.${value.property}`);
+    }
     if (value.type === 'variable') return String(value.value);
+    if (value.type === 'template') {
+      return value.parts.map(part => typeof part === 'string' ? part : this.valueToString(part)).join('');
+    }
     if (value.type === 'array') {
       return '[' + value.elements.map(e => this.valueToString(e)).join(', ') + ']';
     }
@@ -2240,11 +3585,380 @@ setTimeout(function() {
     return '';
   }
 
+  // A name in an expression is, the first match winning:
+  //   - a variable of an enclosing for loop, read from the scope of the item
+  //   - a declared state variable, read from window.psl_vars
+  //   - in `name.prop`, an element declared with var: name, read from window.psl_elements
+  //     (text, value, src, bg, color, size, width and height map to the DOM)
+  //   - otherwise a state variable declared later, read from window.psl_vars
+  // Chained members, indexes and calls then apply to that value
+  isElementName(name) {
+    return !this.isLocal(name) && !this.isLoopVariable(name) && !this.isStateName(name) && this.declaredElements().has(name);
+  }
+
+  // The names given to elements with var:, in the pages and the components
+  declaredElements() {
+    if (this.elementNames) return this.elementNames;
+    this.elementNames = new Set();
+    const visit = (node) => {
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (!node || typeof node !== 'object') return;
+      const name = node.type === 'Element' && node.props && node.props.var;
+      if (name && (name.type === 'variable' || name.type === 'string')) this.elementNames.add(name.value);
+      Object.values(node).forEach(visit);
+    };
+    visit(Object.values(this.ast.pages));
+    visit(Object.values(this.ast.components));
+    return this.elementNames;
+  }
+
+  // user.name: "Zed" changes a field of a local, loop or state object. The state
+  // variable, or the collection of the loop, is the one that changed, so its bindings and loops follow
+  memberAssignmentToJS(key, value) {
+    const root = key.split('.')[0];
+    if (this.isLocal(root)) return `${key} = ${value};\n`;
+    if (this.isLoopVariable(root)) {
+      // The item belongs to the collection of its loop: that's what changed
+      const triggers = this.loopCollectionVariables(root).map(name => `window.psl_triggerWatchers('${name}');\n`).join('');
+      return `window.psl_scopes['${this.loopMarker('raw', 'scope.$id')}'].${key} = ${value};\n${triggers}`;
+    }
+    return `window.psl_vars.${key} = ${value};\nwindow.psl_triggerWatchers('${root}');\n`;
+  }
+
+  isStateName(name) {
+    return Object.prototype.hasOwnProperty.call(this.ast.globalVariables, name) || runtimeState.includes(name) || this.isStoreName(name);
+  }
+
+  isStoreName(name) {
+    return Object.prototype.hasOwnProperty.call(this.ast.stores, name) && !this.isLocal(name) && !this.isLoopVariable(name);
+  }
+
+  // A function waiting for a request or a wait() is async, and so are its callers
+  isAsyncFunction(name) {
+    if (!this.asyncFunctions) {
+      this.asyncFunctions = new Set();
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const [funcName, func] of Object.entries(this.ast.functions)) {
+          if (!this.asyncFunctions.has(funcName) && this.awaits(func.body)) {
+            this.asyncFunctions.add(funcName);
+            changed = true;
+          }
+        }
+      }
+    }
+    return this.asyncFunctions.has(name);
+  }
+
+  // Whether `node` waits: a request, a wait(), a store operation or a call of an async function
+  awaits(node) {
+    if (Array.isArray(node)) return node.some(n => this.awaits(n));
+    if (!node || typeof node !== 'object') return false;
+    if (node.type === 'wait' || node.type === 'request') return true;
+    if (node.type === 'functionCall' && this.callAwaits(node.name)) return true;
+    if (node.type === 'call' && node.callee.type === 'variable' && this.callAwaits(node.callee.value)) return true;
+    if (node.type === 'call' && node.callee.type === 'dotNotation' && this.isStoreName(node.callee.object)
+      && storeMethods.includes(node.callee.property)) return true;
+    if (node.type === 'pageMethodCall' && this.isStoreName(node.pageName) && storeMethods.includes(node.methodName)) return true;
+    return Object.entries(node).some(([key, child]) => key !== 'loc' && this.awaits(child));
+  }
+
+  callAwaits(name) {
+    if (this.ast.functions[name]) return this.isAsyncFunction(name);
+    return !!requestMethods[name];
+  }
+
+  // list.push(item) changes the list in place: the state variable the call is made
+  // on, or the collection of the loop item, is the one that changed, so its bindings and loops follow
+  callStatementToJS(call) {
+    const js = `${this.valueToJSString(call)};\n`;
+    let receiver = call.callee.type === 'call' ? null : call.callee.object;
+    while (receiver && typeof receiver === 'object') {
+      receiver = receiver.type === 'variable' ? receiver.value
+        : receiver.type === 'dotNotation' ? receiver.object
+        : receiver.type === 'member' ? receiver.object : null;
+    }
+    if (typeof receiver === 'string' && !this.isLocal(receiver) && this.isLoopVariable(receiver)) {
+      return js + this.loopCollectionVariables(receiver).map(name => `window.psl_triggerWatchers('${name}');\n`).join('');
+    }
+    if (typeof receiver !== 'string' || this.isLocal(receiver) || this.isStoreName(receiver) || this.isElementName(receiver)) return js;
+    return js + `window.psl_triggerWatchers('${receiver}');\n`;
+  }
+
+  // A call of a user function, or of get(), post()... when none has that name
+  callToJS(name, args, offline = null) {
+    const argsJS = args.map(arg => this.valueToJSString(arg));
+    if (this.isLocal(name)) return `${name}(${argsJS.join(', ')})`;
+    if (requestMethods[name] && !this.ast.functions[name]) {
+      // A failed request gives null, its message is in `error`
+      const body = argsJS.length > 1 ? `, body: ${argsJS[1]}` : '';
+      const queue = offline ? `, offline: '${offline}'` : '';
+      return `(await window.psl_request({ url: ${argsJS[0] || 'null'}, method: '${requestMethods[name]}'${body}${queue} }).catch(function() { return null; }))`;
+    }
+    if (this.isAsyncFunction(name)) return `(await window.${name}(${argsJS.join(', ')}))`;
+    return `window.${name}(${argsJS.join(', ')})`;
+  }
+
+  requestToJS(request, compileBlock) {
+    const options = Object.entries(request.options).map(([key, value]) => `${key}: ${this.valueToJSString(value)}`);
+    const then = request.then
+      ? `async function(${request.then.name}) { ${compileBlock(request.then.body, [request.then.name])} }`
+      : 'null';
+    const fail = request.catch
+      ? `async function(psl_error) { const ${request.catch.name} = psl_error.message; ${compileBlock(request.catch.body, [request.catch.name])} }`
+      : 'function() {}';
+    return `await window.psl_request({ ${options.join(', ')} }).then(${then}, ${fail});\n`;
+  }
+
+  // store todos: the records live in IndexedDB, get() and query() read them from
+  // there. When the program reads `todos` itself (a for loop, todos.length...), the
+  // records are also kept in memory, so its loops and bindings follow add(), update()
+  // and remove() like any state variable
+  generateStores() {
+    const names = Object.keys(this.ast.stores);
+    if (names.length === 0) return '';
+    const indexes = Object.fromEntries(names.map(name => [name, this.ast.stores[name].indexes || []]));
+    const live = this.liveStores();
+    return `
+window.psl_db = null;
+window.psl_openDB = function() {
+  if (!window.psl_db) window.psl_db = new Promise(function(resolve, reject) {
+    const indexes = ${JSON.stringify(indexes)};
+    const names = Object.keys(indexes);
+    const missing = function(db) {
+      if (names.some(function(name) { return !db.objectStoreNames.contains(name); })) return true;
+      const tx = db.transaction(names, 'readonly');
+      return names.some(function(name) {
+        const store = tx.objectStore(name);
+        return indexes[name].some(function(field) { return !store.indexNames.contains(field); });
+      });
+    };
+    const open = function(version) {
+      // One database per origin, whatever the name of the app
+      const request = indexedDB.open('psl-stores', version);
+      request.onupgradeneeded = function() {
+        names.forEach(function(name) {
+          const store = request.result.objectStoreNames.contains(name)
+            ? request.transaction.objectStore(name)
+            : request.result.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+          indexes[name].forEach(function(field) {
+            if (!store.indexNames.contains(field)) store.createIndex(field, field);
+          });
+        });
+      };
+      request.onerror = function() { reject(request.error); };
+      request.onsuccess = function() {
+        const db = request.result;
+        // A store or an index declared since the last visit needs a new version of the database
+        if (missing(db)) {
+          db.close();
+          open(db.version + 1);
+        } else {
+          // Another tab upgrading the database: let it, the next operation opens it again
+          db.onversionchange = function() {
+            db.close();
+            window.psl_db = null;
+          };
+          resolve(db);
+        }
+      };
+    };
+    open();
+  });
+  return window.psl_db;
+};
+
+// \`use\` gets the object store and returns a request, or a function giving the result
+window.psl_transaction = function(name, mode, use) {
+  return window.psl_openDB().then(function(db) {
+    return new Promise(function(resolve, reject) {
+      const tx = db.transaction(name, mode);
+      const request = use(tx.objectStore(name));
+      tx.oncomplete = function() { resolve(typeof request === 'function' ? request() : request.result); };
+      tx.onerror = function() { reject(tx.error); };
+      tx.onabort = function() { reject(tx.error); };
+    });
+  });
+};
+
+window.psl_isKey = function(value) {
+  try {
+    indexedDB.cmp(value, value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+window.psl_store = function(name, live) {
+  const records = function() { return window.psl_vars[name] || []; };
+  const changed = function(update) {
+    if (!live) return;
+    window.psl_vars[name] = update(records());
+    window.psl_triggerWatchers(name);
+  };
+  let loaded = Promise.resolve();
+  if (live) {
+    window.psl_vars[name] = [];
+    loaded = window.psl_transaction(name, 'readonly', function(store) { return store.getAll(); })
+      .then(function(all) { changed(function() { return all; }); });
+  }
+  const write = function(use) {
+    return loaded.then(function() { return window.psl_transaction(name, 'readwrite', use); });
+  };
+
+  return {
+    // The record, with its new id
+    add: function(record) {
+      const copy = Object.assign({}, record);
+      if (copy.id === undefined || copy.id === null) delete copy.id;
+      return write(function(store) { return store.add(copy); }).then(function(id) {
+        copy.id = id;
+        changed(function(list) { return list.concat([copy]); });
+        return copy;
+      });
+    },
+    // Merges the changes in the record, null when there is none with that id
+    update: function(id, changes) {
+      return write(function(store) {
+        let record = null;
+        const request = store.get(id);
+        request.onsuccess = function() {
+          if (!request.result) return;
+          record = Object.assign({}, request.result, changes, { id: id });
+          store.put(record);
+        };
+        return function() { return record; };
+      }).then(function(record) {
+        if (record) changed(function(list) { return list.map(function(r) { return r.id === id ? record : r; }); });
+        return record;
+      });
+    },
+    remove: function(id) {
+      return write(function(store) { return store.delete(id); }).then(function() {
+        changed(function(list) { return list.filter(function(r) { return r.id !== id; }); });
+        return true;
+      });
+    },
+    get: function(id) {
+      return window.psl_transaction(name, 'readonly', function(store) { return store.get(id); })
+        .then(function(record) { return record || null; });
+    },
+    // The records whose fields equal the ones of the filter: todos.query({list: 2}).
+    // An indexed field narrows the records read, the others are checked on a cursor
+    query: function(filter) {
+      filter = filter || {};
+      const keys = Object.keys(filter);
+      return window.psl_transaction(name, 'readonly', function(store) {
+        const field = keys.find(function(key) { return store.indexNames.contains(key) && window.psl_isKey(filter[key]); });
+        const source = field ? store.index(field) : store;
+        const cursor = source.openCursor(field ? IDBKeyRange.only(filter[field]) : null);
+        const found = [];
+        cursor.onsuccess = function() {
+          if (!cursor.result) return;
+          const record = cursor.result.value;
+          if (keys.every(function(key) { return record[key] === filter[key]; })) found.push(record);
+          cursor.result.continue();
+        };
+        return function() { return found; };
+      });
+    },
+    clear: function() {
+      return write(function(store) { return store.clear(); }).then(function() {
+        changed(function() { return []; });
+        return true;
+      });
+    }
+  };
+};
+
+window.psl_stores = {};
+${names.map(name => `window.psl_stores.${name} = window.psl_store('${name}', ${live.has(name)});`).join('\n')}
+`;
+  }
+
+  // The stores the program reads as a whole, not only through their operations
+  liveStores() {
+    const live = new Set();
+    const visit = (node) => {
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (!node || typeof node !== 'object') return;
+      if (node.type === 'call' && node.callee.type === 'dotNotation' && this.ast.stores[node.callee.object]
+        && storeMethods.includes(node.callee.property)) return visit(node.args);
+      if (node.type === 'pageMethodCall' && this.ast.stores[node.pageName]) {
+        if (!storeMethods.includes(node.methodName)) live.add(node.pageName);
+        return visit(node.args);
+      }
+      if (node.type === 'variable' && this.ast.stores[node.value]) live.add(node.value);
+      if (node.type === 'dotNotation' && this.ast.stores[node.object]) live.add(node.object);
+      if (node.type === 'string') {
+        for (const match of String(node.value).matchAll(/\{([^}]+)\}/g)) visit(this.parseInlineExpression(match[1]));
+      }
+      Object.entries(node).forEach(([key, child]) => { if (key !== 'loc') visit(child); });
+    };
+    visit(this.ast);
+    return live;
+  }
+
+  // The service worker only gets a request queue when the program uses one
+  usesOfflineQueue() {
+    const visit = (node) => {
+      if (Array.isArray(node)) return node.some(visit);
+      if (!node || typeof node !== 'object') return false;
+      if (node.type === 'call' && node.offline) return true;
+      if (node.type === 'request' && node.options.offline) return true;
+      return Object.values(node).some(visit);
+    };
+    if (this.offlineQueue === null) this.offlineQueue = visit(this.ast);
+    return this.offlineQueue;
+  }
+
+  // Bindings are updated synchronously, they can't wait for a request
+  syncValueToJS(value) {
+    const js = this.valueToJSString(value);
+    if (this.awaits(value)) {
+      throw new PSLSyntaxError(createDiagnostic('error', 'async-binding', 'A request or an async function can\'t be displayed directly, assign its result to a variable in a handler', locRange(value.loc)));
+    }
+    return js;
+  }
+
+  // Parameters and `let` locals of the function or handler being compiled
+  isLocal(name) {
+    return this.localScopes.some(scope => scope.includes(name));
+  }
+
+  // Compiles a block in its own scope, so its locals don't leak out of it
+  inScope(names, compile) {
+    this.localScopes.push([...names]);
+    try {
+      return compile();
+    } finally {
+      this.localScopes.pop();
+    }
+  }
+
+  statementsToJS(statements, names = []) {
+    return this.inScope(names, () => statements.map(s => this.statementToJS(s)).join(''));
+  }
+
+  actionsToJS(actions, elementId, names = []) {
+    return this.inScope(names, () => actions.map(a => this.actionToJS(a, elementId)).join(''));
+  }
+
   valueToJSString(value) {
     if (!value) return 'null';
     if (value.type === 'string') return `"${value.value.replace(/"/g, '\\"')}"`;
     if (value.type === 'number') return value.value;
     if (value.type === 'boolean') return value.value ? 'true' : 'false';
+    if (value.type === 'variable' && this.isLocal(value.value)) return value.value;
+    if (value.type === 'dotNotation' && this.isLocal(value.object)) return `${value.object}?.${value.property}`;
+    if (value.type === 'variable' && this.isLoopVariable(value.value)) {
+      return `window.psl_scopes['${this.loopMarker('raw', 'scope.$id')}'].${value.value}`;
+    }
+    if (value.type === 'dotNotation' && this.isLoopVariable(value.object)) {
+      return `window.psl_scopes['${this.loopMarker('raw', 'scope.$id')}'].${value.object}.${value.property}`;
+    }
     if (value.type === 'variable') return `window.psl_vars.${value.value}`;
     if (value.type === 'array') {
       const elements = value.elements.map(e => this.valueToJSString(e)).join(', ');
@@ -2254,6 +3968,9 @@ setTimeout(function() {
       const pairs = Object.entries(value.properties).map(([k, v]) => `${k}: ${this.valueToJSString(v)}`);
       return `{${pairs.join(', ')}}`;
     }
+    if (value.type === 'dotNotation' && !this.isElementName(value.object)) {
+      return `window.psl_vars.${value.object}?.${value.property}`;
+    }
     if (value.type === 'dotNotation') {
       const prop = value.property;
       if (prop === 'text') {
@@ -2279,9 +3996,36 @@ setTimeout(function() {
     if (value.type === 'binaryExpression') {
       const leftJS = this.valueToJSString(value.left);
       const rightJS = this.valueToJSString(value.right);
-      const op = value.operator === '==' ? '===' : value.operator;
+      const op = { '==': '===', '!=': '!==' }[value.operator] || value.operator;
       return `(${leftJS} ${op} ${rightJS})`;
     }
+    if (value.type === 'unaryExpression') {
+      // Spaced, so that - applied to -x can't turn into the -- operator
+      return `(${value.operator} ${this.valueToJSString(value.argument)})`;
+    }
+    if (value.type === 'template') {
+      const parts = value.parts.map(part => typeof part === 'string'
+        ? part.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${').replace(/<\/script/gi, '<\\/script')
+        : `\${${this.valueToJSString(part)}}`);
+      return `\`${parts.join('')}\``;
+    }
+    if (value.type === 'member') {
+      const object = this.valueToJSString(value.object);
+      return value.computed ? `${object}?.[${this.valueToJSString(value.property)}]` : `${object}?.${value.property}`;
+    }
+    if (value.type === 'call') {
+      const callee = value.callee;
+      const args = value.args.map(arg => this.valueToJSString(arg)).join(', ');
+      // input.focus() calls the method of the element, not of its data-focus attribute
+      if (callee.type === 'variable') return this.callToJS(callee.value, value.args, value.offline);
+      if (callee.type === 'dotNotation' && this.isStoreName(callee.object) && storeMethods.includes(callee.property)) {
+        return `(await window.psl_stores.${callee.object}.${callee.property}(${args}))`;
+      }
+      const fn = callee.type === 'dotNotation' && this.isElementName(callee.object)
+        ? `window.psl_elements.${callee.object}?.${callee.property}`
+        : this.valueToJSString(callee);
+      return `${fn}?.(${args})`;
+    }
     if (value.type === 'ternary') {
       const condJS = this.valueToJSString(value.condition);
       const trueJS = this.valueToJSString(value.trueExpr);
@@ -2296,9 +4040,18 @@ setTimeout(function() {
     const val = this.ast.metadata[key];
     if (val && val.type === 'string') return val.value;
     if (val && val.type === 'variable') return val.value;
+    if (val && val.type === 'number') return String(val.value);
     return null;
   }
 
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   getElementTag(name) {
     const tagMap = {
       title: 'h1',
@@ -2314,6 +4067,121 @@ setTimeout(function() {
   }
 }
 
+// --- Diagnostics ---
+
+// Tokenizes and parses a program, collecting the diagnostics of both passes
+function parseSource(source, file = null) {
+  const tokenizer = new PSLTokenizer(source, file);
+  const tokens = tokenizer.tokenize();
+  const parser = new PSLParser(tokens, source);
+  const ast = parser.parse();
+  const diagnostics = [...tokenizer.diagnostics, ...parser.diagnostics].sort((a, b) =>
+    a.range.start.line - b.range.start.line || a.range.start.column - b.range.start.column
+  );
+
+  return { ast, diagnostics };
+}
+
+// --- Imports ---
+
+// What an imported file brings to the program, by AST member
+const importedDeclarations = {
+  pages: 'Page',
+  components: 'Component',
+  functions: 'Function',
+  globalVariables: 'State',
+  stores: 'Store'
+};
+const importedLists = ['watchers', 'intervals', 'keyHandlers', 'updateHandlers', 'syncedHandlers', 'cacheRules'];
+
+function locRange(loc) {
+  const start = { line: loc.line, column: loc.column };
+  return { file: loc.file, start, end: start };
+}
+
+// Parses `entry` and the files it imports with #import: "file.psl", relative to
+// the importing file. Each file is merged once into its importer; the metadata
+// of imported files is ignored, the entry file describes the app.
+function loadProgram(entry, options = {}) {
+  const root = options.root || path.dirname(entry);
+  const sources = {};
+  const diagnostics = [];
+  const loaded = new Set();
+  const displayName = file => path.relative(root, file) || path.basename(file);
+  const report = (code, message, loc) => diagnostics.push(createDiagnostic('error', code, message, locRange(loc)));
+
+  function merge(program, imported, from) {
+    for (const [member, kind] of Object.entries(importedDeclarations)) {
+      for (const [name, declaration] of Object.entries(imported[member])) {
+        const existing = program[member][name];
+        if (existing) {
+          const first = existing.declLoc || existing.loc;
+          report('duplicate-name', `${kind} '${name}' is already defined in ${first.file}:${first.line}`, declaration.declLoc || declaration.loc);
+        } else {
+          program[member][name] = declaration;
+        }
+      }
+    }
+
+    for (const [media, rules] of Object.entries(imported.mediaQueries)) {
+      const merged = program.mediaQueries[media] = program.mediaQueries[media] || {};
+      for (const [selector, value] of Object.entries(rules)) {
+        if (selector in merged) {
+          report('duplicate-name', `Media rule '@${media} ${selector}' is already defined`, value.loc || from);
+        } else {
+          merged[selector] = value;
+        }
+      }
+    }
+
+    for (const member of importedLists) {
+      program[member].push(...imported[member]);
+    }
+  }
+
+  function load(file, stack, from) {
+    if (stack.includes(file)) {
+      const cycle = [...stack.slice(stack.indexOf(file)), file].map(displayName).join(' -> ');
+      report('import-cycle', `Import cycle: ${cycle}`, from);
+      return null;
+    }
+    // Imported from several files: its declarations are already in the program
+    if (loaded.has(file)) return null;
+    loaded.add(file);
+
+    if (from && !fs.existsSync(file)) {
+      report('import-not-found', `Cannot find '${displayName(file)}'`, from);
+      return null;
+    }
+    const source = fs.readFileSync(file, 'utf-8');
+    sources[displayName(file)] = source;
+
+    const { ast, diagnostics: fileDiagnostics } = parseSource(source, displayName(file));
+    diagnostics.push(...fileDiagnostics);
+
+    for (const node of ast.imports) {
+      if (node.type !== 'string') {
+        report('invalid-import', '#import expects a file name between quotes', node.loc);
+        continue;
+      }
+      const imported = load(path.resolve(path.dirname(file), node.value), [...stack, file], node.loc);
+      if (imported) merge(ast, imported, node.loc);
+    }
+    return ast;
+  }
+
+  const ast = load(path.resolve(entry), [], null);
+  return { ast, diagnostics, sources };
+}
+
+// The content of a precached file of the app in `root`, for the cache version
+function readAssetFile(root, src) {
+  const file = path.join(root, path.normalize(src.replace(/^\.?\//, '')));
+  if (!file.startsWith(root + path.sep)) return null;
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) return null;
+  return fs.readFileSync(file);
+}
+
 // CLI
 function main() {
   const args = process.argv.slice(2);
@@ -2333,36 +4201,48 @@ function main() {
 
   try {
     console.log(`📖 Lecture du fichier: ${inputFile}`);
-    const source = fs.readFileSync(inputFile, 'utf-8');
-    
-    console.log('🔄 Tokenization...');
-    const tokenizer = new PSLTokenizer(source);
-    const tokens = tokenizer.tokenize();
-    console.log(`✓ ${tokens.length} tokens générés`);
     
     console.log('📝 Parsing...');
-    const parser = new PSLParser(tokens);
-    const ast = parser.parse(); 
+    const { ast, diagnostics, sources } = loadProgram(inputFile, { root: process.cwd() });
+    for (const diagnostic of diagnostics) {
+      console.error(formatDiagnostic(diagnostic, sources[diagnostic.range.file]));
+    }
+    const errors = diagnostics.filter(d => d.severity === 'error').length;
+    if (errors > 0) {
+      console.error(`❌ ${errors} erreur(s), compilation annulée`);
+      process.exit(1);
+    }
 
     console.log(`✓ AST généré`);
     
     console.log('⚙️  Compilation...');
     const compiler = new PSLCompiler(ast);
-    const html = compiler.compile();
-    console.log(`✓ HTML généré`);
+    const files = compiler.compileFiles({
+      htmlFile: path.basename(outputFile),
+      readAsset: (src) => readAssetFile(path.dirname(path.resolve(inputFile)), src)
+    });
+    console.log(`✓ HTML et service worker générés`);
     
-    fs.writeFileSync(outputFile, html);
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(path.dirname(outputFile), name), content);
+    }
     console.log(`✅ Compilation réussie: ${outputFile}`);
   } catch (err) {
     console.error(`❌ Erreur: ${err.message}`);
-    console.error(err.stack);
+    if (err instanceof PSLSyntaxError) {
+      console.error(err.frame);
+    } else {
+      console.error(err.stack);
+    }
     process.exit(1);
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
 
 // Export classes for Node usage
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { PSLTokenizer, PSLParser, PSLCompiler };
+  module.exports = { PSLTokenizer, PSLParser, PSLCompiler, PSLSyntaxError, parseSource, loadProgram, readAssetFile, formatDiagnostic, codeFrame };
 }
@@ -1,5 +1,141 @@
-function editor () {
-    
+var fs = require("fs");
+var path = require("path");
+var chalk = require("chalk");
+var React = require("react");
+const f = require("./usefool.js");
+var Projects = require("./pwa/projects.js");
+var build = require("./build.js");
+
+var h = React.createElement;
+
+// The fields asked by the `create pwa` wizard
+var fields = [
+    {key: "name", label: "Name"},
+    {key: "author", label: "Author"},
+    {key: "color", label: "Color"}
+];
+
+function load(project) {
+    var dir = project.dir;
+    var file = path.join(dir, "manifest.json");
+    if (!fs.existsSync(file)) file = path.join(__dirname, "pwa/manifest.json");
+    var manifest = JSON.parse(fs.readFileSync(file, "utf-8"));
+    file = project.local ? project.source : Projects.findSource(dir);
+    var source = file ? fs.readFileSync(file, "utf-8") : "";
+    return {
+        manifest,
+        file,
+        source,
+        values: {
+            name: Projects.readMeta(source, "name") || manifest.name || "",
+            author: Projects.readMeta(source, "author") || "",
+            color: Projects.readMeta(source, "theme") || manifest.theme_color || ""
+        }
+    };
+};
+
+function save(dir, project, values) {
+    var manifest = project.manifest;
+    manifest["name"] = values.name;
+    manifest["short_name"] = values.name;
+    manifest["theme_color"] = values.color;
+    fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+    // The .psl metadata wins over the manifest, so it's kept in sync when present
+    if (project.file) {
+        var source = project.source;
+        if (Projects.readMeta(source, "name") !== null) source = Projects.writeMeta(source, "name", values.name);
+        if (Projects.readMeta(source, "theme") !== null) source = Projects.writeMeta(source, "theme", values.color);
+        if (values.author || Projects.readMeta(source, "author") !== null) source = Projects.writeMeta(source, "author", values.author);
+        fs.writeFileSync(project.file, source);
+        project.source = source;
+    };
+};
+
+function validate(key, value) {
+    if (key === "name" && value.trim() === "") return "The name can't be empty";
+    if (key === "color" && !value.startsWith("#")) return "Please, put an valid HEC";
+    return null;
+};
+
+async function editor(target) {
+    var { render, Box, Text, useInput, useApp } = await import("ink");
+    var dir = target.dir;
+    var name = target.name;
+    var project = load(target);
+
+    function App() {
+        var { exit } = useApp();
+        var [values, setValues] = React.useState(project.values);
+        var [selected, setSelected] = React.useState(0);
+        var [editing, setEditing] = React.useState(null);
+        var [status, setStatus] = React.useState({color: "gray", text: "↑/↓ select · Enter edit · s save · q quit"});
+        var [dirty, setDirty] = React.useState(false);
+
+        useInput((input, key) => {
+            if (editing !== null) {
+                if (key.escape) {
+                    setEditing(null);
+                } else if (key.return) {
+                    var field = fields[selected];
+                    var error = validate(field.key, editing);
+                    if (error) {
+                        setStatus({color: "red", text: error});
+                        return;
+                    };
+                    setValues(Object.assign({}, values, {[field.key]: editing}));
+                    setEditing(null);
+                    setDirty(true);
+                    setStatus({color: "yellow", text: "Modified, press s to save"});
+                } else if (key.backspace || key.delete) {
+                    setEditing(editing.slice(0, -1));
+                } else if (input && !key.ctrl && !key.meta) {
+                    setEditing(editing + input);
+                };
+                return;
+            };
+
+            if (key.upArrow) setSelected((selected + fields.length - 1) % fields.length);
+            if (key.downArrow) setSelected((selected + 1) % fields.length);
+            if (key.return) setEditing(values[fields[selected].key]);
+            if (input === "q" || key.escape) exit();
+            if (input === "s") {
+                try {
+                    save(dir, project, values);
+                    setStatus({color: "gray", text: "=> Saved, recompiling..."});
+                    build(target).then(dist => {
+                        setDirty(false);
+                        if (dist) setStatus({color: "green", text: "✅ Saved and recompiled"});
+                        else setStatus({color: "red", text: "ERREUR: Saved but the compilation failed, see the logs"});
+                    });
+                } catch (err) {
+                    setStatus({color: "red", text: `ERREUR: ${err.message}`});
+                };
+            };
+        });
+
+        var preview = project.source.split("\n").slice(0, 15);
+
+        return h(Box, {flexDirection: "column", paddingX: 1},
+            h(Text, {bold: true, color: "blue"}, `Noneed editor — ${name}${dirty ? " *" : ""}`),
+            h(Box, {flexDirection: "column", borderStyle: "round", borderColor: "cyan", paddingX: 1, marginTop: 1},
+                h(Text, {color: "cyan"}, "manifest.json"),
+                ...fields.map((field, i) => h(Text, {key: field.key, inverse: i === selected && editing === null},
+                    `${i === selected ? ">" : " "} ${field.label.padEnd(8)} `,
+                    i === selected && editing !== null ? h(Text, {color: "yellow"}, editing + "█") : values[field.key]
+                ))
+            ),
+            h(Box, {flexDirection: "column", borderStyle: "round", borderColor: "gray", paddingX: 1},
+                h(Text, {color: "gray"}, project.file ? path.basename(project.file) : "No .psl file"),
+                ...preview.map((line, i) => h(Text, {key: i, dimColor: true}, `${String(i + 1).padStart(3)} ${line}`))
+            ),
+            h(Text, {color: status.color}, status.text)
+        );
+    };
+
+    var app = render(h(App));
+    await app.waitUntilExit();
+    f.log(chalk.gray("=> Editor closed"));
 };
 
-module.exports = editor;
\ No newline at end of file
+module.exports = editor;
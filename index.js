@@ -20,6 +20,10 @@ var infos = require("./parser.js");
 var pwa = require("./pwa/pwa.js");
 const PWA = require("./pwa/pwa.js");
 var editor = require("./editor.js");
+var build = require("./build.js");
+var serve = require("./serve.js");
+var Projects = require("./pwa/projects.js");
+var inquirer = require("inquirer");
 
 
 switch (infos.entry) {
@@ -27,6 +31,8 @@ switch (infos.entry) {
         var pwa = new PWA();
         pwa.askUser().then(()=> {
             pwa.genManifest();
+            pwa.genSource();
+            return pwa.genIcons();
         });
         break;
     case "log":
@@ -47,21 +53,63 @@ switch (infos.entry) {
         };
         break;
     case "list":
-        var l = fs.readdirSync(path.join(os.homedir(), ".noneed/pwa"));
-        for (let i of l) {
-            if (i.endsWith(".js") || i.endsWith(".json") || i.startsWith(".")) continue;
+        for (let i of Projects.list()) {
             console.log(" "+"Project :"+"  "+chalk.bgWhite.blue(" "+i+" "))
         }
         break;
+    case "init":
+        if (fs.existsSync(path.join(process.cwd(), "noneed.json"))) {
+            f.log(chalk.red.bold("ERREUR: This folder is already a noneed project"));
+            break;
+        };
+        for (let i of Projects.init(process.cwd())) {
+            f.log(chalk.gray("=> Created "+i));
+        };
+        f.log(chalk.green.bold("✅ Project initialized, run 'noneed serve' to try it"));
+        break;
+    case "edit":
+        // ink needs a terminal to read the keys from
+        if (!process.stdin.isTTY) {
+            f.log(chalk.red.bold("ERREUR: The editor needs an interactive terminal"));
+            process.exitCode = 1;
+            break;
+        };
+        editor(infos.project).catch(err => {
+            f.log(chalk.red.bold(`ERREUR: ${err.message}`));
+            process.exitCode = 1;
+        });
+        break;
+    case "build":
+        build(infos.project).then(dist => {
+            if (!dist) process.exitCode = 1;
+        });
+        break;
+    case "serve":
+        serve(infos.project, infos.port);
+        break;
+    case "delete":
+        var name = infos.project.name;
+        inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirm',
+            message: `>> Delete the project '${name}' and all its files ?`,
+            default: false
+        }]).then(answer => {
+            if (!answer.confirm) {
+                f.log(chalk.gray("=> Nothing was deleted"));
+                return;
+            };
+            Projects.remove(name);
+            f.log(chalk.green.bold(`✅ Project '${name}' deleted`));
+        });
+        break;
+    case "rename":
+        Projects.rename(infos.project.name, infos.target);
+        f.log(chalk.green.bold(`✅ Project '${infos.project.name}' renamed to '${infos.target}'`));
+        break;
     case "version":
         f.log(chalk.gray("=> Recupering your current version..."));
         var v = JSON.parse(fs.readFileSync(__dirname+"/package.json", "utf-8"));
         f.log("Your version is "+chalk.blue.bold(v.version));
         break;
 };
-if (infos.entry) {
-    if (infos.entry.includes("edit")) {
-        var a = infos.entry.split(".",2);
-
-    };
-}
\ No newline at end of file
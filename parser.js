@@ -1,9 +1,33 @@
 var f = require("./usefool.js");
 var chalk = require("chalk");
-var fs = require("fs");
+var Projects = require("./pwa/projects.js");
 
 var infos = {
-    "entry": null
+    "entry": null,
+    "port": 3000,
+    "target": null,
+    "project": null
+};
+
+// The project named in the command, else the local project we're in
+function findProject(name) {
+    if (name && !name.startsWith("-")) {
+        if (!Projects.exists(name)) {
+            f.log(chalk.red.bold(`ERREUR: Unknowed project '${name}'`));
+            return null;
+        }
+        return Projects.open(name);
+    }
+    try {
+        var local = Projects.findLocal(process.cwd());
+    } catch (err) {
+        f.log(chalk.red.bold(`ERREUR: ${err.message}`));
+        return null;
+    };
+    if (!local) {
+        f.log(chalk.red.bold("ERREUR: No project specified and no noneed.json found here"));
+    }
+    return local;
 };
 var entry = process.argv.slice(2);
 switch (entry[0]) {
@@ -33,26 +57,70 @@ switch (entry[0]) {
         infos["entry"] = "list";
         f.log(chalk.gray("=> Listing projects..."));
         break;
+    case "init":
+        infos["entry"] = "init";
+        f.log(chalk.gray("=> Initializing a project in this folder..."));
+        break;
     case "edit":
-        if (entry[1]) {
-            var l = fs.readdirSync(path.join(os.homedir(), ".noneed/pwa/"));
-            var pro = "";
-            for (let i of l) {
-                if (i.endsWith(".js") || i.endsWith(".json")) continue;
-                if (entry[1] === i) {
-                    pro = i;
-                };
-            };
-            if (pro === "") {
-                f.log(chalk.red.bold("ERREUR: No project specified"));
+        infos["project"] = findProject(entry[1]);
+        if (!infos["project"]) break;
+        f.log(chalk.gray("=> Running the editor..."));
+        infos["entry"] = "edit";
+        break;
+    case "build":
+        infos["project"] = findProject(entry[1]);
+        if (!infos["project"]) break;
+        f.log(chalk.gray("=> Building the project..."));
+        infos["entry"] = "build";
+        break;
+    case "serve":
+        var p = entry.indexOf("--port") !== -1 ? entry.indexOf("--port") : entry.indexOf("-p");
+        if (p !== -1) {
+            var port = parseInt(entry[p+1]);
+            if (isNaN(port)) {
+                f.log(chalk.red.bold(`ERREUR: '${entry[p+1]}' is not a valid port`));
                 break;
             }
-            f.log(chalk.gray("=> Running the editor..."));
-            infos["entry"] = "edit."+pro;
-        } else {
+            infos["port"] = port;
+        }
+        infos["project"] = findProject(p === 1 ? entry[3] : entry[1]);
+        if (!infos["project"]) break;
+        f.log(chalk.gray("=> Starting the dev server..."));
+        infos["entry"] = "serve";
+        break;
+    case "delete":
+        if (!entry[1]) {
             f.log(chalk.red.bold("ERREUR: No project specified"));
             break;
         }
+        if (!Projects.exists(entry[1])) {
+            f.log(chalk.red.bold(`ERREUR: Unknowed project '${entry[1]}'`));
+            break;
+        }
+        infos["project"] = Projects.open(entry[1]);
+        infos["entry"] = "delete";
+        break;
+    case "rename":
+        if (!entry[1] || !entry[2]) {
+            f.log(chalk.red.bold("ERREUR: Usage is 'noneed rename <project> <new name>'"));
+            break;
+        }
+        if (!Projects.exists(entry[1])) {
+            f.log(chalk.red.bold(`ERREUR: Unknowed project '${entry[1]}'`));
+            break;
+        }
+        if (!Projects.isValidName(entry[2])) {
+            f.log(chalk.red.bold(`ERREUR: '${entry[2]}' is not a valid project name`));
+            break;
+        }
+        if (Projects.exists(entry[2])) {
+            f.log(chalk.red.bold(`ERREUR: The project '${entry[2]}' already exists`));
+            break;
+        }
+        f.log(chalk.gray("=> Renaming the project..."));
+        infos["project"] = Projects.open(entry[1]);
+        infos["entry"] = "rename";
+        infos["target"] = entry[2];
         break;
     case "version":
         infos["entry"] = "version"
@@ -72,7 +140,13 @@ switch (entry[0]) {
             console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed log        ")+"=> "+chalk.underline("To see your log history     |")));
             console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed log reset  ")+"=> "+chalk.underline("To reset your log history   |")));
             console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed list       ")+"=> "+chalk.underline("To show all your projects   |")));
+            console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed init       ")+"=> "+chalk.underline("To create a project here    |")));
             console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed create pwa ")+"=> "+chalk.underline("To create an pwa project    |")));
+            console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed edit <p>   ")+"=> "+chalk.underline("To edit a project           |")));
+            console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed delete <p> ")+"=> "+chalk.underline("To delete a project         |")));
+            console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed rename <p> ")+"=> "+chalk.underline("To rename a project         |")));
+            console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed build <p>  ")+"=> "+chalk.underline("To build a project in dist/ |")));
+            console.log(chalk.bgCyan(chalk.bgWhite.underline.blue.bold("|  noneed serve <p>  ")+"=> "+chalk.underline("To test a project locally   |")));
             console.log(chalk.bgCyan.underline.bold.blue("-----------------------------------------------------"));
         }
 }
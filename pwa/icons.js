@@ -0,0 +1,116 @@
+var fs = require("fs");
+var path = require("path");
+var { PNG } = require("pngjs");
+var { Resvg, initWasm } = require("@resvg/resvg-wasm");
+
+var sizes = [72, 96, 128, 144, 152, 192, 384, 512];
+var wasmReady = null;
+
+// The SVG renderer is a wasm module shipped in node_modules, no network needed
+function loadSvgRenderer() {
+    if (!wasmReady) {
+        wasmReady = initWasm(fs.readFileSync(require.resolve("@resvg/resvg-wasm/index_bg.wasm")));
+    };
+    return wasmReady;
+};
+
+async function readSource(file) {
+    var ext = path.extname(file).toLowerCase();
+    if (ext === ".png") {
+        return PNG.sync.read(fs.readFileSync(file));
+    };
+    if (ext === ".svg") {
+        await loadSvgRenderer();
+        var svg = new Resvg(fs.readFileSync(file, "utf-8"), {fitTo: {mode: "width", value: 1024}});
+        return PNG.sync.read(Buffer.from(svg.render().asPng()));
+    };
+    throw new Error(`'${path.basename(file)}' is not a PNG or SVG image`);
+};
+
+function parseColor(color) {
+    var hex = String(color || "#ffffff").replace("#", "");
+    if (hex.length === 3) hex = hex.split("").map(c => c + c).join("");
+    var n = parseInt(hex, 16);
+    if (hex.length !== 6 || isNaN(n)) return [255, 255, 255];
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+// Samples the source with premultiplied alpha, averaging every source pixel covered
+function samplePixel(src, x0, y0, x1, y1) {
+    var r = 0, g = 0, b = 0, a = 0, count = 0;
+    var stepX = Math.max(1, Math.ceil(x1 - x0));
+    var stepY = Math.max(1, Math.ceil(y1 - y0));
+    for (let j = 0; j < stepY; j++) {
+        for (let i = 0; i < stepX; i++) {
+            var sx = Math.max(0, Math.min(src.width - 1, Math.floor(x0 + (i + 0.5) * (x1 - x0) / stepX)));
+            var sy = Math.max(0, Math.min(src.height - 1, Math.floor(y0 + (j + 0.5) * (y1 - y0) / stepY)));
+            var idx = (sy * src.width + sx) * 4;
+            var alpha = src.data[idx + 3] / 255;
+            r += src.data[idx] * alpha;
+            g += src.data[idx + 1] * alpha;
+            b += src.data[idx + 2] * alpha;
+            a += alpha;
+            count++;
+        };
+    };
+    return [r / count, g / count, b / count, a / count];
+};
+
+// Draws the source centered in a square of `size`, scaled to `ratio` of it
+function renderIcon(src, size, ratio, background) {
+    var out = new PNG({width: size, height: size});
+    var bg = background ? parseColor(background) : null;
+    var box = size * ratio;
+    var scale = Math.min(box / src.width, box / src.height);
+    var w = src.width * scale;
+    var h = src.height * scale;
+    var left = (size - w) / 2;
+    var top = (size - h) / 2;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            var idx = (y * size + x) * 4;
+            var pixel = [0, 0, 0, 0];
+            if (x + 1 > left && x < left + w && y + 1 > top && y < top + h) {
+                pixel = samplePixel(src, (x - left) / scale, (y - top) / scale, (x + 1 - left) / scale, (y + 1 - top) / scale);
+            };
+            var alpha = pixel[3];
+            if (bg) {
+                out.data[idx] = Math.round(pixel[0] + bg[0] * (1 - alpha));
+                out.data[idx + 1] = Math.round(pixel[1] + bg[1] * (1 - alpha));
+                out.data[idx + 2] = Math.round(pixel[2] + bg[2] * (1 - alpha));
+                out.data[idx + 3] = 255;
+            } else {
+                out.data[idx] = alpha ? Math.round(pixel[0] / alpha) : 0;
+                out.data[idx + 1] = alpha ? Math.round(pixel[1] / alpha) : 0;
+                out.data[idx + 2] = alpha ? Math.round(pixel[2] / alpha) : 0;
+                out.data[idx + 3] = Math.round(alpha * 255);
+            };
+        };
+    };
+    return PNG.sync.write(out);
+};
+
+// Writes every icon of the manifest in `dir` and returns their manifest entries
+async function genIcons(source, dir, background) {
+    var src = await readSource(source);
+    var icons = [];
+    fs.mkdirSync(dir, {recursive: true});
+
+    for (let size of sizes) {
+        fs.writeFileSync(path.join(dir, `icon-${size}x${size}.png`), renderIcon(src, size, 1, null));
+        icons.push({src: `/icons/icon-${size}x${size}.png`, sizes: `${size}x${size}`, type: "image/png"});
+    };
+
+    // Maskable icons are cropped by the OS: keep the image in the 80% safe zone
+    fs.writeFileSync(path.join(dir, "icon-maskable-512x512.png"), renderIcon(src, 512, 0.8, background));
+    icons.push({src: "/icons/icon-maskable-512x512.png", sizes: "512x512", type: "image/png", purpose: "maskable"});
+
+    // iOS fills transparent pixels with black, so the apple icon gets a background
+    fs.writeFileSync(path.join(dir, "apple-touch-icon.png"), renderIcon(src, 180, 1, background));
+    icons.push({src: "/icons/apple-touch-icon.png", sizes: "180x180", type: "image/png"});
+
+    return icons;
+};
+
+module.exports = genIcons;
@@ -0,0 +1,120 @@
+var fs = require("fs");
+var path = require("path");
+var os = require("os");
+
+// A project is either a folder of ~/.noneed/pwa, next to the manifest template,
+// or a local folder holding a noneed.json (see `noneed init`)
+class Projects {
+    static root() {
+        return path.join(os.homedir(), ".noneed/pwa");
+    };
+    static path(name) {
+        return path.join(Projects.root(), name);
+    };
+    static list() {
+        var l = fs.readdirSync(Projects.root());
+        return l.filter(i => {
+            if (i.endsWith(".js") || i.endsWith(".json") || i.startsWith(".")) return false;
+            return fs.statSync(path.join(Projects.root(), i)).isDirectory();
+        });
+    };
+    static exists(name) {
+        return Projects.list().includes(name);
+    };
+    static isValidName(name) {
+        return /^[^\/\\.][^\/\\]*$/.test(name) && !name.endsWith(".js") && !name.endsWith(".json");
+    };
+    static remove(name) {
+        fs.rmSync(Projects.path(name), {recursive: true, force: true});
+    };
+    static findSource(dir) {
+        if (fs.existsSync(path.join(dir, "main.psl"))) return path.join(dir, "main.psl");
+        var l = fs.readdirSync(dir).filter(i => i.endsWith(".psl"));
+        return l.length > 0 ? path.join(dir, l[0]) : null;
+    };
+    static open(name) {
+        var dir = Projects.path(name);
+        return {
+            name: name,
+            dir: dir,
+            source: Projects.findSource(dir),
+            dist: path.join(dir, "dist"),
+            local: false
+        };
+    };
+    // The nearest noneed.json from `cwd` up to the root of the file system
+    static findLocal(cwd) {
+        var dir = path.resolve(cwd);
+        while (true) {
+            if (fs.existsSync(path.join(dir, "noneed.json"))) return Projects.openLocal(dir);
+            if (path.dirname(dir) === dir) return null;
+            dir = path.dirname(dir);
+        };
+    };
+    static openLocal(dir) {
+        var config = JSON.parse(fs.readFileSync(path.join(dir, "noneed.json"), "utf-8"));
+        var source = path.join(dir, config.entry || "src/main.psl");
+        var dist = path.resolve(dir, config.outDir || "dist");
+        // The build empties dist/ first: it can't be the project, a parent of it or hold the sources
+        if (!dist.startsWith(dir + path.sep) || source.startsWith(dist + path.sep)) {
+            throw new Error(`The outDir '${config.outDir}' of noneed.json must be a folder inside the project, apart from the sources`);
+        };
+        return {
+            name: config.name || path.basename(dir),
+            dir: dir,
+            source: fs.existsSync(source) ? source : null,
+            dist: dist,
+            local: true
+        };
+    };
+    static init(dir) {
+        var name = path.basename(dir);
+        var created = [];
+        var write = (file, content) => {
+            if (fs.existsSync(path.join(dir, file))) return;
+            fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+            fs.writeFileSync(path.join(dir, file), content);
+            created.push(file);
+        };
+
+        write("noneed.json", JSON.stringify({name: name, entry: "src/main.psl", outDir: "dist"}, null, 2));
+        var fi = JSON.parse(fs.readFileSync(path.join(__dirname, "manifest.json"), "utf-8"));
+        fi["name"] = name;
+        fi["short_name"] = name;
+        write("manifest.json", JSON.stringify(fi, null, 2));
+        write("src/main.psl", fs.readFileSync(path.join(__dirname, "main.psl"), "utf-8").replace(/MyApp/g, name));
+        fs.mkdirSync(path.join(dir, "icons"), {recursive: true});
+        return created;
+    };
+    // The `#key = "value"` metadata of a .psl source, it wins over the manifest
+    static readMeta(source, key) {
+        var m = source.match(new RegExp(`^#${key}\\s*=\\s*["']?([^"'\\n]*)["']?\\s*;?\\s*$`, "m"));
+        return m ? m[1] : null;
+    };
+    static writeMeta(source, key, value) {
+        var line = `#${key} = "${value.replace(/"/g, '\\"')}"`;
+        var re = new RegExp(`^#${key}\\s*=.*$`, "m");
+        if (re.test(source)) return source.replace(re, line);
+        return line + "\n" + source;
+    };
+    static rename(name, newName) {
+        fs.renameSync(Projects.path(name), Projects.path(newName));
+        var file = path.join(Projects.path(newName), "manifest.json");
+        if (fs.existsSync(file)) {
+            var fi = JSON.parse(fs.readFileSync(file, "utf-8"));
+            fi["name"] = newName;
+            fi["short_name"] = newName;
+            fs.writeFileSync(file, JSON.stringify(fi, null, 2));
+        };
+
+        var source = Projects.findSource(Projects.path(newName));
+        if (!source) return;
+        var content = fs.readFileSync(source, "utf-8");
+        for (let key of ["name", "short_name"]) {
+            if (Projects.readMeta(content, key) !== null) content = Projects.writeMeta(content, key, newName);
+        };
+        fs.writeFileSync(source, content);
+    };
+};
+
+module.exports = Projects;
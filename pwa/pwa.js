@@ -4,6 +4,7 @@ var chalk = require("chalk");
 var fs = require("fs");
 var path = require("path");
 var os = require("os");
+var genIcons = require("./icons.js");
 
 var questions = [
     {
@@ -24,6 +25,18 @@ var questions = [
         message: '>> Your PWA\'s color',
         default: '#007bff',
         validate: input => {if (!input.startsWith("#")) return "Please, put an valid HEC"; else return true;}
+    },
+    {
+        type: 'input',
+        name: 'appIcon',
+        message: '>> Your PWA\'s icon (PNG or SVG, empty to skip)',
+        default: '',
+        validate: input => {
+            if (input === "") return true;
+            if (!/\.(png|svg)$/i.test(input)) return "Please, put a PNG or SVG image";
+            if (!fs.existsSync(path.resolve(input))) return "This file doesn't exist";
+            return true;
+        }
     }
 ];
 
@@ -32,6 +45,7 @@ class PWA {
         this.name = "MyApp";
         this.author = "MySelf";
         this.color = "MySelf";
+        this.icon = "";
     }
     mkdir(name) {
         f.log(chalk.gray("=> Making a folder..."));
@@ -42,6 +56,7 @@ class PWA {
         this.name = a.appName;
         this.author = a.appOwner;
         this.color = a.appColor;
+        this.icon = a.appIcon;
 
         this.mkdir(a.appName);
     }
@@ -59,6 +74,29 @@ class PWA {
         fs.writeFileSync(path.join(os.homedir(), `.noneed/pwa/${this.name}/manifest.json`), JSON.stringify(fi, null, 2));
         f.log(chalk.green.bold("✅ Manifest updated"));
     }
+    async genIcons() {
+        if (!this.icon) return;
+        var dir = path.join(os.homedir(), `.noneed/pwa/${this.name}`);
+        f.log(chalk.gray("=> Generating the icons..."));
+        try {
+            var fi = JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf-8"));
+            var ext = path.extname(this.icon).toLowerCase();
+            fs.copyFileSync(path.resolve(this.icon), path.join(dir, "icon"+ext));
+            fi["icons"] = await genIcons(path.join(dir, "icon"+ext), path.join(dir, "icons"), fi["background_color"]);
+            fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(fi, null, 2));
+            f.log(chalk.green.bold("✅ Icons generated"));
+        } catch (err) {
+            f.log(chalk.red.bold(`ERREUR: ${err.message}`));
+        };
+    }
+    genSource() {
+        var file = path.join(os.homedir(), `.noneed/pwa/${this.name}/main.psl`);
+        if (fs.existsSync(file)) return;
+        f.log(chalk.gray("=> Generating the main.psl..."));
+        var source = fs.readFileSync(path.join(__dirname, "main.psl"), "utf-8");
+        fs.writeFileSync(file, source.replace(/MyApp/g, this.name));
+        f.log(chalk.green.bold("✅ main.psl created"));
+    }
 };
 
 module.exports = PWA;
\ No newline at end of file
@@ -0,0 +1,134 @@
+var fs = require("fs");
+var path = require("path");
+var http = require("http");
+var chalk = require("chalk");
+const f = require("./usefool.js");
+var Projects = require("./pwa/projects.js");
+var build = require("./build.js");
+
+var types = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "application/javascript; charset=utf-8",
+    ".json": "application/manifest+json; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".webp": "image/webp",
+    ".ico": "image/x-icon"
+};
+
+// Injected in every served HTML page, never written in dist/
+var reloadClient = `<script>
+    (function() {
+        var source = new EventSource('/__noneed/reload');
+        source.onmessage = function() {
+            var clear = window.caches ? caches.keys().then(function(keys) {
+                return Promise.all(keys.map(function(k) { return caches.delete(k); }));
+            }) : Promise.resolve();
+            clear.then(function() { location.reload(); });
+        };
+    })();
+</script>`;
+
+// A fake backend while developing: GET /api/items is answered by
+// mock/api/items.GET.json or else mock/api/items.json, for any method
+function findMock(dir, url, method) {
+    var root = path.join(dir, "mock");
+    var base = path.join(root, path.normalize(url).replace(/^(\.\.[\/\\])+/, ""));
+    if (!base.startsWith(root + path.sep)) return null;
+    return [`${base}.${method}.json`, `${base}.json`].find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+};
+
+function serve(project, port) {
+    var dir = project.dir;
+    var dist = project.dist;
+    var clients = [];
+
+    var server = http.createServer((req, res) => {
+        try {
+            var url = decodeURIComponent(req.url.split("?")[0]);
+        } catch (err) {
+            res.writeHead(400, {"Content-Type": "text/plain; charset=utf-8"});
+            res.end("Bad request");
+            return;
+        };
+
+        if (url === "/__noneed/reload") {
+            res.writeHead(200, {
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                "Connection": "keep-alive"
+            });
+            res.write(": connected\n\n");
+            clients.push(res);
+            req.on("close", () => {
+                clients = clients.filter(c => c !== res);
+            });
+            return;
+        };
+
+        var file = path.join(dist, path.normalize(url).replace(/^(\.\.[\/\\])+/, ""));
+        if (!file.startsWith(dist)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        };
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, "index.html");
+        if (!fs.existsSync(file)) {
+            var mock = findMock(dir, url, req.method);
+            if (mock) {
+                res.writeHead(200, {
+                    "Content-Type": "application/json; charset=utf-8",
+                    "Cache-Control": "no-cache"
+                });
+                res.end(fs.readFileSync(mock));
+                return;
+            };
+            res.writeHead(404, {"Content-Type": "text/plain; charset=utf-8"});
+            res.end("Not found");
+            return;
+        };
+
+        var ext = path.extname(file).toLowerCase();
+        var body = fs.readFileSync(file);
+        if (ext === ".html") {
+            body = body.toString("utf-8").replace("</body>", reloadClient+"\n</body>");
+        };
+        res.writeHead(200, {
+            "Content-Type": types[ext] || "application/octet-stream",
+            "Cache-Control": "no-cache"
+        });
+        res.end(body);
+    });
+
+    var timer = null;
+    // Local projects keep their sources in sub folders, dist/ is ignored
+    fs.watch(dir, {recursive: true}, (event, filename) => {
+        if (!filename || path.join(dir, filename).startsWith(dist)) return;
+        if (!(filename.endsWith(".psl") || ["manifest.json", "noneed.json"].includes(path.basename(filename)))) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            f.log(chalk.gray(`=> ${filename} changed, rebuilding...`));
+            build(project).then(ok => {
+                if (ok) clients.forEach(c => c.write("data: reload\n\n"));
+            });
+        }, 100);
+    });
+
+    server.on("error", err => {
+        f.log(chalk.red.bold(`ERREUR: Can't start the server (${err.message})`));
+        process.exit(1);
+    });
+    build(project).then(() => {
+        server.listen(port, () => {
+            f.log(chalk.green.bold(`✅ Serving ${project.name} on `)+chalk.blue.underline(`http://localhost:${port}`));
+            f.log(chalk.gray("=> Watching for changes, press Ctrl+C to stop"));
+        });
+    });
+    return server;
+};
+
+module.exports = serve;